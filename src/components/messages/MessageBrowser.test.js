@@ -0,0 +1,70 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { createPinia, setActivePinia } from 'pinia'
+import { useChatStore } from '@/stores/chatStore'
+import { buildParsedChat } from '@/composables/useChatParser'
+import MessageBrowser from './MessageBrowser.vue'
+
+function message(sender, content, day, type = 'text') {
+  return { sender, content, timestamp: new Date(2025, 9, day, 12), emojis: [], type }
+}
+
+describe('MessageBrowser', () => {
+  let pinia
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    pinia = createPinia()
+    setActivePinia(pinia)
+
+    const messages = [
+      message('Alice', 'Pizza tonight?', 1),
+      message('Bob', 'Sure, pizza it is', 2),
+      message('Alice', '', 3, 'image'),
+      ...Array.from({ length: 5000 }, (_, i) => message('Bob', `filler ${i}`, 4)),
+    ]
+    useChatStore().setParsedData(buildParsedChat('Alice & Bob', messages))
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  function mountBrowser() {
+    return mount(MessageBrowser, { global: { plugins: [pinia] } })
+  }
+
+  it('renders only a window of a long conversation', () => {
+    const wrapper = mountBrowser()
+
+    expect(wrapper.find('.message-browser__count').text()).toBe('5,003 of 5,003 messages')
+    expect(wrapper.findAll('.message-row').length).toBeLessThan(50)
+  })
+
+  it('searches after a pause in typing and highlights matches', async () => {
+    const wrapper = mountBrowser()
+
+    await wrapper.find('input[type="search"]').setValue('PIZZA')
+    expect(wrapper.findAll('mark')).toHaveLength(0)
+
+    await vi.advanceTimersByTimeAsync(200)
+
+    expect(wrapper.find('.message-browser__count').text()).toBe('2 of 5,003 messages')
+    expect(wrapper.findAll('mark').map(mark => mark.text())).toEqual(['Pizza', 'pizza'])
+  })
+
+  it('filters by sender and type and can be cleared', async () => {
+    const wrapper = mountBrowser()
+    const [senderSelect, typeSelect] = wrapper.findAll('select')
+
+    await senderSelect.setValue('Alice')
+    await typeSelect.setValue('image')
+
+    expect(wrapper.findAll('.message-row')).toHaveLength(1)
+    expect(wrapper.find('.message-row__placeholder').text()).toBe('(image)')
+
+    await wrapper.find('.message-browser__clear').trigger('click')
+
+    expect(wrapper.find('.message-browser__count').text()).toBe('5,003 of 5,003 messages')
+  })
+})
@@ -4,7 +4,7 @@ import FileUpload from './FileUpload.vue'
 
 describe('FileUpload', () => {
   describe('File Selection', () => {
-    it('emits file-selected event when valid HTML file is selected', async () => {
+    it('emits files-selected event when valid HTML file is selected', async () => {
       const wrapper = mount(FileUpload)
       const file = new File(['<html></html>'], 'chat.html', { type: 'text/html' })
 
@@ -16,11 +16,11 @@ describe('FileUpload', () => {
 
       await input.trigger('change')
 
-      expect(wrapper.emitted('file-selected')).toBeTruthy()
-      expect(wrapper.emitted('file-selected')[0][0]).toBe(file)
+      expect(wrapper.emitted('files-selected')).toBeTruthy()
+      expect(wrapper.emitted('files-selected')[0][0]).toEqual([file])
     })
 
-    it('emits file-selected for .htm files', async () => {
+    it('emits files-selected for .htm files', async () => {
       const wrapper = mount(FileUpload)
       const file = new File(['<html></html>'], 'chat.htm', { type: 'text/html' })
 
@@ -32,7 +32,82 @@ describe('FileUpload', () => {
 
       await input.trigger('change')
 
-      expect(wrapper.emitted('file-selected')).toBeTruthy()
+      expect(wrapper.emitted('files-selected')).toBeTruthy()
+    })
+
+    it('emits files-selected for .json files', async () => {
+      const wrapper = mount(FileUpload)
+      const file = new File(['{"messages":[]}'], 'message_1.json', { type: 'application/json' })
+
+      const input = wrapper.find('input[type="file"]')
+      Object.defineProperty(input.element, 'files', {
+        value: [file],
+        writable: false,
+      })
+
+      await input.trigger('change')
+
+      expect(wrapper.emitted('files-selected')).toBeTruthy()
+      expect(wrapper.emitted('files-selected')[0][0]).toEqual([file])
+    })
+
+    it('emits files-selected for WhatsApp .txt exports', async () => {
+      const wrapper = mount(FileUpload)
+      const file = new File(['31/12/2021, 23:59 - Alice: Hi'], 'WhatsApp Chat with Alice.txt', { type: 'text/plain' })
+
+      const input = wrapper.find('input[type="file"]')
+      Object.defineProperty(input.element, 'files', {
+        value: [file],
+        writable: false,
+      })
+
+      await input.trigger('change')
+
+      expect(wrapper.emitted('files-selected')).toBeTruthy()
+      expect(wrapper.emitted('files-selected')[0][0]).toEqual([file])
+    })
+  })
+
+  describe('Multi-part Exports', () => {
+    it('emits all selected files together', async () => {
+      const wrapper = mount(FileUpload)
+      const part1 = new File(['<html></html>'], 'message_1.html', { type: 'text/html' })
+      const part2 = new File(['<html></html>'], 'message_2.html', { type: 'text/html' })
+
+      const input = wrapper.find('input[type="file"]')
+      Object.defineProperty(input.element, 'files', {
+        value: [part1, part2],
+        writable: false,
+      })
+
+      await input.trigger('change')
+
+      expect(wrapper.emitted('files-selected')).toHaveLength(1)
+      expect(wrapper.emitted('files-selected')[0][0]).toEqual([part1, part2])
+    })
+
+    it('rejects the whole selection when one file is invalid', async () => {
+      const wrapper = mount(FileUpload)
+      const part1 = new File(['<html></html>'], 'message_1.html', { type: 'text/html' })
+      const part2 = new File([''], 'message_2.html', { type: 'text/html' })
+
+      const dropZone = wrapper.find('.upload-zone')
+      await dropZone.trigger('drop', {
+        dataTransfer: {
+          files: [part1, part2],
+        },
+      })
+
+      expect(wrapper.emitted('files-selected')).toBeFalsy()
+      expect(wrapper.find('.error-message').text()).toContain('message_2.html')
+      expect(wrapper.find('.error-message').text()).toContain('empty')
+    })
+
+    it('allows selecting multiple files in the file dialog', () => {
+      const wrapper = mount(FileUpload)
+      const input = wrapper.find('input[type="file"]')
+
+      expect(input.attributes('multiple')).toBeDefined()
     })
   })
 
@@ -49,7 +124,7 @@ describe('FileUpload', () => {
 
       await input.trigger('change')
 
-      expect(wrapper.emitted('file-selected')).toBeFalsy()
+      expect(wrapper.emitted('files-selected')).toBeFalsy()
       expect(wrapper.find('.error-message').exists()).toBe(true)
       expect(wrapper.find('.error-message').text()).toContain('HTML file')
     })
@@ -57,7 +132,7 @@ describe('FileUpload', () => {
     // TODO: Fix this test - component validation needs update
     it.skip('rejects files with wrong extension even if type is correct', async () => {
       const wrapper = mount(FileUpload)
-      const file = new File(['content'], 'chat.txt', { type: 'text/html' })
+      const file = new File(['content'], 'chat.pdf', { type: 'text/html' })
 
       const input = wrapper.find('input[type="file"]')
       Object.defineProperty(input.element, 'files', {
@@ -67,7 +142,7 @@ describe('FileUpload', () => {
 
       await input.trigger('change')
 
-      expect(wrapper.emitted('file-selected')).toBeFalsy()
+      expect(wrapper.emitted('files-selected')).toBeFalsy()
       expect(wrapper.find('.error-message').exists()).toBe(true)
     })
   })
@@ -87,7 +162,7 @@ describe('FileUpload', () => {
 
       await input.trigger('change')
 
-      expect(wrapper.emitted('file-selected')).toBeFalsy()
+      expect(wrapper.emitted('files-selected')).toBeFalsy()
       expect(wrapper.find('.error-message').exists()).toBe(true)
       expect(wrapper.find('.error-message').text()).toContain('too large')
     })
@@ -106,7 +181,7 @@ describe('FileUpload', () => {
 
       await input.trigger('change')
 
-      expect(wrapper.emitted('file-selected')).toBeTruthy()
+      expect(wrapper.emitted('files-selected')).toBeTruthy()
     })
 
     it('rejects empty files', async () => {
@@ -121,7 +196,7 @@ describe('FileUpload', () => {
 
       await input.trigger('change')
 
-      expect(wrapper.emitted('file-selected')).toBeFalsy()
+      expect(wrapper.emitted('files-selected')).toBeFalsy()
       expect(wrapper.find('.error-message').exists()).toBe(true)
       expect(wrapper.find('.error-message').text()).toContain('empty')
     })
@@ -139,8 +214,8 @@ describe('FileUpload', () => {
         },
       })
 
-      expect(wrapper.emitted('file-selected')).toBeTruthy()
-      expect(wrapper.emitted('file-selected')[0][0]).toBe(file)
+      expect(wrapper.emitted('files-selected')).toBeTruthy()
+      expect(wrapper.emitted('files-selected')[0][0]).toEqual([file])
     })
 
     it('shows dragging state on dragover', async () => {
@@ -246,6 +321,8 @@ describe('FileUpload', () => {
 
       expect(input.attributes('accept')).toContain('.html')
       expect(input.attributes('accept')).toContain('.htm')
+      expect(input.attributes('accept')).toContain('.json')
+      expect(input.attributes('accept')).toContain('.txt')
     })
   })
 })
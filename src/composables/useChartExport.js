@@ -0,0 +1,68 @@
+import { ref } from 'vue'
+import { downloadCanvas, withBackground, renderGridImage, toFileName } from '@/utils/imageExport'
+
+/**
+ * Composable for saving charts as PNG images
+ *
+ * Colors are read from the document when exporting rather than cached, so
+ * the image always matches the theme that is active at that moment.
+ */
+export function useChartExport() {
+  // Bind to a vue-chartjs component with ref="chartRef"
+  const chartRef = ref(null)
+
+  /**
+   * Save the Chart.js chart on a themed background
+   * @param {string} title - Chart title, used for the file name
+   */
+  async function exportChart(title) {
+    const chart = chartRef.value?.chart
+    if (!chart) return
+
+    try {
+      const canvas = withBackground(chart.canvas, readExportTheme().surface)
+      await downloadCanvas(canvas, toFileName(title))
+    } catch (error) {
+      console.error('Failed to export chart:', error)
+    }
+  }
+
+  /**
+   * Draw and save a grid chart (see renderGridImage)
+   * @param {Object} grid - { title, columnLabels, rows, footer }
+   */
+  async function exportGrid(grid) {
+    try {
+      await downloadCanvas(renderGridImage(grid, readExportTheme()), toFileName(grid.title))
+    } catch (error) {
+      console.error('Failed to export chart:', error)
+    }
+  }
+
+  return {
+    chartRef,
+    exportChart,
+    exportGrid,
+  }
+}
+
+/**
+ * Resolve the active theme's colors and fonts for canvas drawing
+ * @returns {Object} Theme for the imageExport drawing functions
+ */
+export function readExportTheme() {
+  const styles = getComputedStyle(document.documentElement)
+  const read = name => styles.getPropertyValue(name).trim()
+
+  return {
+    background: read('--color-background'),
+    surface: read('--color-surface'),
+    border: read('--color-border'),
+    primary: read('--color-primary'),
+    secondary: read('--color-secondary'),
+    textPrimary: read('--color-text-primary'),
+    textSecondary: read('--color-text-secondary'),
+    fontFamily: read('--font-family-primary') || 'sans-serif',
+    headingFontFamily: read('--font-family-heading') || read('--font-family-primary') || 'sans-serif',
+  }
+}
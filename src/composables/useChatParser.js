@@ -1,9 +1,13 @@
 import DOMPurify from 'dompurify'
+import { getZonedParts } from '@/utils/timezone'
+import { parseTimestamp, detectDateOrder } from '@/utils/timestampParser'
+import { MEDIA_KINDS, classifyText, classifyLink, getLinkDomain } from '@/utils/mediaClassifier'
+import { isCallNotice, parseCall } from '@/utils/callParser'
 
 /**
  * Instagram Chat Parser
  *
- * Parses Instagram HTML chat exports into structured data.
+ * Parses Instagram HTML and JSON chat exports into structured data.
  * Based on analysis of Instagram's HTML structure from October 2025.
  *
  * Structure identified:
@@ -13,25 +17,52 @@ import DOMPurify from 'dompurify'
  * - Timestamp: div._3-94._a6-o
  */
 
+// How many messages to parse between progress reports
+const PROGRESS_INTERVAL = 500
+
+// How many of the most-reacted messages to keep in statistics
+const MOST_REACTED_LIMIT = 10
+
+// How many unreadable timestamps to show the user as examples
+const UNPARSED_TIMESTAMP_EXAMPLES = 5
+
+const TIMESTAMP_SELECTOR = 'div._3-94._a6-o'
+
+// Markup the HTML parser keeps; everything else is stripped before reading
+const SANITIZE_CONFIG = {
+  ALLOWED_TAGS: ['html', 'head', 'body', 'header', 'div', 'h1', 'h2', 'h3', 'p', 'span', 'a', 'img', 'audio', 'video', 'ul', 'li'],
+  ALLOWED_ATTR: ['class', 'href', 'src', 'target'],
+}
+
+// Disallowed elements dropped together with their content, as DOMPurify does
+const FORBIDDEN_CONTENT_TAGS = ['script', 'style', 'template', 'noscript', 'iframe', 'frame', 'frameset', 'object', 'embed', 'svg', 'math', 'title']
+
+const UNSAFE_URL = /^\s*(javascript|vbscript|data):/i
+
+// Message length buckets by word count (upper bounds, inclusive)
+export const MESSAGE_LENGTH_BUCKETS = [
+  { label: 'One word', max: 1 },
+  { label: 'Short (2–5)', max: 5 },
+  { label: 'Sentence (6–15)', max: 15 },
+  { label: 'Long (16–40)', max: 40 },
+  { label: 'Paragraph (41+)', max: Infinity },
+]
+
 /**
  * Parse Instagram HTML chat export
  * @param {File} file - HTML file from Instagram export
+ * @param {Object} options - { onProgress } called with reading/parsing progress,
+ *   { locale } language of the timestamps ('auto' or a TIMESTAMP_LOCALES id)
  * @returns {Promise<Object>} Parsed chat data
  */
-export async function parseChatHTML(file) {
+export async function parseChatHTML(file, { onProgress, locale = 'auto' } = {}) {
   try {
     // Step 1: Read file content
-    const rawHTML = await file.text()
-
-    // Step 2: Sanitize HTML (security layer)
-    const cleanHTML = DOMPurify.sanitize(rawHTML, {
-      ALLOWED_TAGS: ['html', 'head', 'body', 'div', 'h1', 'h2', 'h3', 'p', 'span', 'a', 'img', 'audio', 'ul', 'li'],
-      ALLOWED_ATTR: ['class', 'href', 'src', 'target'],
-    })
+    const rawHTML = await readFileText(file, onProgress)
+    onProgress?.({ stage: 'parsing', messagesFound: 0, fraction: 0 })
 
-    // Step 3: Parse HTML into DOM
-    const parser = new DOMParser()
-    const doc = parser.parseFromString(cleanHTML, 'text/html')
+    // Steps 2 and 3: Sanitize HTML (security layer) and parse it into a DOM
+    const doc = parseSanitizedHTML(rawHTML)
 
     // Step 4: Extract conversation title
     const titleElement = doc.querySelector('header h1')
@@ -41,43 +72,325 @@ export async function parseChatHTML(file) {
     const messageNodes = doc.querySelectorAll('.pam._3-95._2ph-._a6-g.uiBoxWhite.noborder')
     const messages = []
 
-    for (const node of messageNodes) {
-      const message = parseMessageNode(node)
+    // Numeric dates (03/04/2025) only give their order away across the whole export
+    const timestampTexts = Array.from(messageNodes, node => node.querySelector(TIMESTAMP_SELECTOR)?.textContent.trim())
+    const timestampOptions = { locale, dateOrder: detectDateOrder(timestampTexts, locale) }
+
+    for (const [index, node] of messageNodes.entries()) {
+      const message = parseMessageNode(node, timestampOptions)
       if (message) {
         messages.push(message)
       }
+      reportParsingProgress(onProgress, index, messageNodes.length, messages.length)
     }
 
-    // Step 6: Extract metadata
-    const participants = extractParticipants(messages)
-    const dateRange = extractDateRange(messages)
-
-    // Step 7: Calculate basic statistics
-    const statistics = calculateStatistics(messages)
-
-    return {
-      meta: {
-        conversationTitle,
-        totalMessages: messages.length,
-        participants,
-        dateRange,
-        parsedAt: new Date(),
-      },
-      messages,
-      statistics,
-    }
+    // Step 6: Extract metadata and statistics
+    onProgress?.({ stage: 'statistics', messagesFound: messages.length, fraction: 1 })
+    return buildParsedChat(conversationTitle, messages)
   } catch (error) {
     console.error('Error parsing chat HTML:', error)
     throw new Error(`Failed to parse chat file: ${error.message}`)
   }
 }
 
+/**
+ * Sanitize an HTML export and parse it into a document
+ *
+ * DOMPurify needs a real browser DOM. In the parser worker the document comes
+ * from LinkeDOM, which DOMPurify can't run on, so the same allow-list is
+ * applied to the parsed document instead.
+ *
+ * @param {string} rawHTML - Export file content
+ * @returns {Document} Document holding only allowed tags and attributes
+ */
+function parseSanitizedHTML(rawHTML) {
+  const parser = new DOMParser()
+
+  if (DOMPurify.isSupported) {
+    return parser.parseFromString(DOMPurify.sanitize(rawHTML, SANITIZE_CONFIG), 'text/html')
+  }
+
+  const doc = parser.parseFromString(rawHTML, 'text/html')
+  for (const element of Array.from(doc.querySelectorAll('*'))) {
+    const tag = element.tagName.toLowerCase()
+
+    if (!SANITIZE_CONFIG.ALLOWED_TAGS.includes(tag)) {
+      if (FORBIDDEN_CONTENT_TAGS.includes(tag)) {
+        element.remove()
+      } else {
+        element.replaceWith(...element.childNodes)
+      }
+      continue
+    }
+
+    for (const name of element.getAttributeNames()) {
+      const value = element.getAttribute(name)
+      if (!SANITIZE_CONFIG.ALLOWED_ATTR.includes(name) || ((name === 'href' || name === 'src') && UNSAFE_URL.test(value))) {
+        element.removeAttribute(name)
+      }
+    }
+  }
+
+  return doc
+}
+
+/**
+ * Parse Instagram JSON chat export (message_1.json)
+ * @param {File} file - JSON file from Instagram export
+ * @param {Object} options - { onProgress } called with reading/parsing progress
+ * @returns {Promise<Object>} Parsed chat data, same shape as parseChatHTML
+ */
+export async function parseChatJSON(file, { onProgress } = {}) {
+  try {
+    // Step 1: Read and decode file content
+    const rawJSON = await readFileText(file, onProgress)
+    onProgress?.({ stage: 'parsing', messagesFound: 0, fraction: 0 })
+    const data = JSON.parse(rawJSON)
+
+    if (!data || !Array.isArray(data.messages)) {
+      throw new Error('No messages found in JSON export')
+    }
+
+    // Step 2: Extract conversation title
+    const conversationTitle = data.title ? fixMojibake(data.title) : 'Unknown'
+
+    // Step 3: Extract messages
+    const messages = []
+
+    for (const [index, entry] of data.messages.entries()) {
+      const message = parseMessageEntry(entry)
+      if (message) {
+        messages.push(message)
+      }
+      reportParsingProgress(onProgress, index, data.messages.length, messages.length)
+    }
+
+    // Step 4: Extract metadata and statistics
+    onProgress?.({ stage: 'statistics', messagesFound: messages.length, fraction: 1 })
+    return buildParsedChat(conversationTitle, messages)
+  } catch (error) {
+    console.error('Error parsing chat JSON:', error)
+    throw new Error(`Failed to parse chat file: ${error.message}`)
+  }
+}
+
+/**
+ * Parse a single message entry from the JSON export
+ * @param {Object} entry - Raw message object from the "messages" array
+ * @returns {Object|null} Parsed message object
+ */
+function parseMessageEntry(entry) {
+  if (!entry || !entry.sender_name) return null
+
+  const sender = fixMojibake(entry.sender_name)
+  const content = entry.content ? fixMojibake(entry.content).trim() : ''
+  const timestamp = Number.isFinite(entry.timestamp_ms) ? new Date(entry.timestamp_ms) : null
+
+  const message = {
+    sender,
+    content,
+    timestamp,
+    emojis: extractEmojis(content),
+    type: determineEntryType(content, entry, sender),
+  }
+
+  if (Array.isArray(entry.reactions) && entry.reactions.length > 0) {
+    message.reactions = entry.reactions.map(reaction => ({
+      emoji: fixMojibake(reaction.reaction || ''),
+      reactor: fixMojibake(reaction.actor || ''),
+    }))
+  }
+
+  if (Array.isArray(entry.photos) && entry.photos.length > 0) {
+    message.photos = entry.photos.map(photo => photo.uri).filter(Boolean)
+  }
+
+  if (entry.share) {
+    message.share = {
+      link: entry.share.link || null,
+      text: entry.share.share_text ? fixMojibake(entry.share.share_text) : '',
+    }
+  }
+
+  if (Number.isFinite(entry.call_duration)) {
+    message.callDuration = entry.call_duration
+  }
+
+  if (message.type === 'call') {
+    message.call = parseCall(content, entry.call_duration)
+  }
+
+  const { mediaKind, links } = determineEntryMedia(content, entry)
+  if (mediaKind) {
+    message.mediaKind = mediaKind
+  }
+  if (links.length > 0) {
+    message.links = links
+  }
+
+  return message
+}
+
+/**
+ * Determine the kind of media a JSON entry carries
+ * @param {string} content - Decoded message content
+ * @param {Object} entry - Raw message object
+ * @returns {Object} { mediaKind: string|null, links: string[] }
+ */
+function determineEntryMedia(content, entry) {
+  const text = classifyText(content)
+  const shareLink = entry.share?.link || null
+  const links = shareLink ? [...new Set([shareLink, ...text.links])] : text.links
+
+  if (entry.photos?.length) return { mediaKind: 'photo', links }
+  if (entry.videos?.length) return { mediaKind: 'video', links }
+  if (entry.audio_files?.length) return { mediaKind: 'voice', links }
+  if (entry.gifs?.length || entry.sticker) return { mediaKind: 'gif', links }
+  if (text.mediaKind === 'story') return { mediaKind: 'story', links }
+  if (shareLink) return { mediaKind: classifyLink(shareLink), links }
+  // Shares of deleted or private posts come without a link
+  if (entry.share) return { mediaKind: 'share', links }
+
+  return { mediaKind: text.mediaKind, links }
+}
+
+/**
+ * Determine message type for a JSON entry, mirroring determineMessageType
+ * @param {string} content - Decoded message content
+ * @param {Object} entry - Raw message object
+ * @param {string} sender - Decoded sender name
+ * @returns {string} Message type
+ */
+function determineEntryType(content, entry, sender) {
+  if (Number.isFinite(entry.call_duration) || isCallNotice(content, sender)) {
+    return 'call'
+  }
+  if (content.includes('Liked a message') || /^Reacted .+ to your message/.test(content)) {
+    return 'reaction'
+  }
+  if (entry.photos?.length) {
+    return 'image'
+  }
+  if (entry.audio_files?.length) {
+    return 'audio'
+  }
+  if (entry.videos?.length || entry.files?.length || content.includes('sent an attachment')) {
+    return 'attachment'
+  }
+  if (entry.share) {
+    return 'share'
+  }
+  if (content.length === 0) {
+    return 'empty'
+  }
+  return 'text'
+}
+
+/**
+ * Repair Instagram's JSON mojibake
+ *
+ * Instagram writes each UTF-8 byte as its own \u00XX escape, so "é" arrives
+ * as "Ã©" and "❤" as "â\u009d¤". Re-reading those code units as bytes and
+ * decoding them as UTF-8 restores the original text.
+ *
+ * @param {string} text - Text as decoded by JSON.parse
+ * @returns {string} Correctly decoded text
+ */
+export function fixMojibake(text) {
+  if (!text || typeof text !== 'string') {
+    return ''
+  }
+
+  // Anything above U+00FF cannot be a raw byte, so the text is already fine
+  if (/[^\u0000-\u00ff]/.test(text)) {
+    return text
+  }
+
+  try {
+    const bytes = Uint8Array.from(text, char => char.charCodeAt(0))
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes)
+  } catch (error) {
+    // Not a valid UTF-8 byte sequence: genuine latin1 text, keep it as is
+    return text
+  }
+}
+
+/**
+ * Read a file as UTF-8 text, reporting bytes read as chunks arrive
+ * @param {File} file - File to read
+ * @param {Function} [onProgress] - Called with { stage: 'reading', bytesRead, totalBytes }
+ * @returns {Promise<string>} File content
+ */
+export async function readFileText(file, onProgress) {
+  if (!onProgress || typeof file.stream !== 'function') {
+    return file.text()
+  }
+
+  const reader = file.stream().getReader()
+  const decoder = new TextDecoder('utf-8')
+  const chunks = []
+  let bytesRead = 0
+
+  onProgress({ stage: 'reading', bytesRead, totalBytes: file.size })
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+
+    bytesRead += value.byteLength
+    chunks.push(decoder.decode(value, { stream: true }))
+    onProgress({ stage: 'reading', bytesRead, totalBytes: file.size })
+  }
+
+  chunks.push(decoder.decode())
+  return chunks.join('')
+}
+
+/**
+ * Report parsing progress every PROGRESS_INTERVAL items
+ * @param {Function} [onProgress] - Progress callback
+ * @param {number} index - Index of the item just processed
+ * @param {number} total - Total number of items
+ * @param {number} messagesFound - Messages extracted so far
+ */
+export function reportParsingProgress(onProgress, index, total, messagesFound) {
+  if (!onProgress || (index + 1) % PROGRESS_INTERVAL !== 0) return
+  onProgress({ stage: 'parsing', messagesFound, fraction: (index + 1) / total })
+}
+
+/**
+ * Assemble the parser output shared by every export format
+ * @param {string} conversationTitle - Conversation title
+ * @param {Array} messages - Array of parsed message objects
+ * @returns {Object} { meta, messages, statistics }
+ */
+export function buildParsedChat(conversationTitle, messages) {
+  const participants = extractParticipants(messages)
+  const dateRange = extractDateRange(messages)
+  const unparsedTimestamps = extractUnparsedTimestamps(messages)
+  const statistics = calculateStatistics(messages)
+
+  return {
+    meta: {
+      conversationTitle,
+      totalMessages: messages.length,
+      participants,
+      dateRange,
+      unparsedTimestamps,
+      parsedAt: new Date(),
+    },
+    messages,
+    statistics,
+  }
+}
+
 /**
  * Parse a single message node
  * @param {Element} node - Message container DOM node
+ * @param {Object} timestampOptions - { locale, dateOrder } for parseTimestamp
  * @returns {Object|null} Parsed message object
  */
-function parseMessageNode(node) {
+function parseMessageNode(node, timestampOptions = {}) {
   try {
     // Extract sender
     const senderElement = node.querySelector('h2._3-95._2pim._a6-h._a6-i')
@@ -85,6 +398,9 @@ function parseMessageNode(node) {
 
     const sender = senderElement.textContent.trim()
 
+    // Extract reactions (detached first so their text doesn't leak into content)
+    const reactions = extractReactions(node)
+
     // Extract content
     const contentElement = node.querySelector('div._3-95._a6-p')
     let content = ''
@@ -96,33 +412,79 @@ function parseMessageNode(node) {
     }
 
     // Extract timestamp
-    const timestampElement = node.querySelector('div._3-94._a6-o')
-    let timestamp = null
-
-    if (timestampElement) {
-      const timestampText = timestampElement.textContent.trim()
-      timestamp = parseTimestamp(timestampText)
-    }
+    const timestampElement = node.querySelector(TIMESTAMP_SELECTOR)
+    const timestampText = timestampElement ? timestampElement.textContent.trim() : ''
+    const timestamp = parseTimestamp(timestampText, timestampOptions)
 
     // Extract emojis from content
     const emojis = extractEmojis(content)
 
     // Determine message type
-    const type = determineMessageType(content, node)
+    const type = determineMessageType(content, node, sender)
 
-    return {
+    const message = {
       sender,
       content,
       timestamp,
       emojis,
       type,
     }
+
+    if (type === 'call') {
+      message.call = parseCall(content)
+    }
+
+    // Keep what the export said so unreadable timestamps can be reported
+    if (!timestamp && timestampText) {
+      message.timestampText = timestampText
+    }
+
+    const media = determineNodeMedia(content, node)
+    if (media.mediaKind) {
+      message.mediaKind = media.mediaKind
+    }
+    if (media.links.length > 0) {
+      message.links = media.links
+    }
+
+    if (reactions.length > 0) {
+      message.reactions = reactions
+    }
+
+    return message
   } catch (error) {
     console.warn('Error parsing message node:', error)
     return null
   }
 }
 
+/**
+ * Extract reactions listed under a message and remove them from the node
+ *
+ * Instagram renders each reaction as <li><span>❤️Alice</span></li>: the emoji
+ * immediately followed by the reactor's name.
+ *
+ * @param {Element} node - Message container DOM node
+ * @returns {Array} Array of { emoji, reactor }
+ */
+function extractReactions(node) {
+  const reactions = []
+
+  for (const list of node.querySelectorAll('ul')) {
+    for (const item of list.querySelectorAll('li')) {
+      const text = item.textContent.trim()
+      const [emoji] = extractEmojis(text)
+
+      if (emoji && text.startsWith(emoji)) {
+        reactions.push({ emoji, reactor: text.slice(emoji.length).trim() })
+      }
+    }
+    list.remove()
+  }
+
+  return reactions
+}
+
 /**
  * Get direct text content from an element, excluding deeply nested content
  * @param {Element} element - DOM element
@@ -173,35 +535,21 @@ export function extractEmojis(text) {
   return text.match(emojiRegex) || []
 }
 
-/**
- * Parse Instagram timestamp format
- * @param {string} timestampText - Timestamp string (e.g., "Oct 16, 2025 5:28 am")
- * @returns {Date|null} Parsed date object
- */
-function parseTimestamp(timestampText) {
-  try {
-    // Instagram format: "Oct 16, 2025 5:28 am"
-    return new Date(timestampText)
-  } catch (error) {
-    console.warn('Failed to parse timestamp:', timestampText)
-    return null
-  }
-}
-
 /**
  * Determine message type (text, attachment, call, etc.)
  * @param {string} content - Message content
  * @param {Element} node - Message DOM node
+ * @param {string} sender - Message sender
  * @returns {string} Message type
  */
-function determineMessageType(content, node) {
+function determineMessageType(content, node, sender) {
   if (content.includes('You sent an attachment') || content.includes('sent an attachment')) {
     return 'attachment'
   }
-  if (content.includes('Audio call ended') || content.includes('started an audio call')) {
+  if (isCallNotice(content, sender)) {
     return 'call'
   }
-  if (content.includes('Liked a message')) {
+  if (content.includes('Liked a message') || /^Reacted .+ to your message/.test(content)) {
     return 'reaction'
   }
   if (node.querySelector('img')) {
@@ -216,6 +564,31 @@ function determineMessageType(content, node) {
   return 'text'
 }
 
+/**
+ * Determine the kind of media an HTML message carries
+ * @param {string} content - Message content
+ * @param {Element} node - Message DOM node
+ * @returns {Object} { mediaKind: string|null, links: string[] }
+ */
+function determineNodeMedia(content, node) {
+  const text = classifyText(content)
+  const hrefs = Array.from(node.querySelectorAll('a[href]'), anchor => anchor.getAttribute('href'))
+    .filter(href => /^https?:\/\//i.test(href))
+  const links = [...new Set([...hrefs, ...text.links])]
+  const image = node.querySelector('img')
+
+  if (node.querySelector('video')) return { mediaKind: 'video', links }
+  if (node.querySelector('audio')) return { mediaKind: 'voice', links }
+  if (image) {
+    const isGif = /\.gif(\?|$)|sticker/i.test(image.getAttribute('src') || '')
+    return { mediaKind: isGif ? 'gif' : 'photo', links }
+  }
+  if (text.mediaKind === 'story') return { mediaKind: 'story', links }
+  if (links.length > 0) return { mediaKind: classifyLink(links[0]), links }
+
+  return { mediaKind: null, links }
+}
+
 /**
  * Extract unique participants from messages
  * @param {Array} messages - Array of message objects
@@ -255,15 +628,38 @@ function extractDateRange(messages) {
   }
 }
 
+/**
+ * Summarize messages whose timestamps couldn't be read
+ * @param {Array} messages - Array of message objects
+ * @returns {Object} { count: number, examples: string[] }
+ */
+function extractUnparsedTimestamps(messages) {
+  const unparsed = messages.filter(m => m.timestampText)
+  const examples = [...new Set(unparsed.map(m => m.timestampText))].slice(0, UNPARSED_TIMESTAMP_EXAMPLES)
+
+  return { count: unparsed.length, examples }
+}
+
 /**
  * Calculate basic statistics from messages
  * @param {Array} messages - Array of message objects
+ * @param {Object} options - { timeZone } for month buckets: IANA timezone, sender => timezone, or null
  * @returns {Object} Statistics object
  */
-function calculateStatistics(messages) {
+export function calculateStatistics(messages, { timeZone = null } = {}) {
   const messageCountByUser = {}
   const emojiCountByUser = {}
   const totalEmojiCount = {}
+  const reactionsGivenByUser = {}
+  const reactionsReceivedByUser = {}
+  const reactionEmojiCountByUser = {}
+  const reactionsByReactor = {}
+  const reactedMessages = []
+  const lengthsByUser = {}
+  const messageLengthByMonth = {}
+  const mediaByUser = {}
+  const linkDomainCount = {}
+  const linkDomainsByUser = {}
 
   for (const message of messages) {
     const sender = message.sender
@@ -271,6 +667,74 @@ function calculateStatistics(messages) {
     // Count messages per user
     messageCountByUser[sender] = (messageCountByUser[sender] || 0) + 1
 
+    // Count media by kind, and shared links by domain
+    if (!mediaByUser[sender]) {
+      mediaByUser[sender] = Object.fromEntries(MEDIA_KINDS.map(kind => [kind.id, 0]))
+    }
+    if (message.mediaKind in mediaByUser[sender]) {
+      mediaByUser[sender][message.mediaKind]++
+    }
+
+    for (const link of message.links || []) {
+      const domain = getLinkDomain(link)
+      if (!domain) continue
+
+      linkDomainCount[domain] = (linkDomainCount[domain] || 0) + 1
+      if (!linkDomainsByUser[sender]) {
+        linkDomainsByUser[sender] = {}
+      }
+      linkDomainsByUser[sender][domain] = (linkDomainsByUser[sender][domain] || 0) + 1
+    }
+
+    // Measure written messages (placeholders and media have no length)
+    if (message.type === 'text' && message.content) {
+      const characters = [...message.content].length
+      const words = message.content.trim().split(/\s+/).length
+
+      if (!lengthsByUser[sender]) {
+        lengthsByUser[sender] = { characters: [], words: [], longestMessage: null }
+      }
+      const lengths = lengthsByUser[sender]
+      lengths.characters.push(characters)
+      lengths.words.push(words)
+      if (!lengths.longestMessage || characters > lengths.longestMessage.characters) {
+        lengths.longestMessage = { content: message.content, timestamp: message.timestamp, characters, words }
+      }
+
+      const zone = typeof timeZone === 'function' ? timeZone(sender) : timeZone
+      const month = getMonthKey(message.timestamp, zone)
+      if (month) {
+        if (!messageLengthByMonth[month]) {
+          messageLengthByMonth[month] = {}
+        }
+        const totals = messageLengthByMonth[month][sender] || { messages: 0, characters: 0, words: 0 }
+        totals.messages++
+        totals.characters += characters
+        totals.words += words
+        messageLengthByMonth[month][sender] = totals
+      }
+    }
+
+    // Count reactions: given by the reactor, received by the sender
+    for (const { emoji, reactor } of message.reactions || []) {
+      reactionsGivenByUser[reactor] = (reactionsGivenByUser[reactor] || 0) + 1
+      reactionsReceivedByUser[sender] = (reactionsReceivedByUser[sender] || 0) + 1
+
+      if (!reactionEmojiCountByUser[reactor]) {
+        reactionEmojiCountByUser[reactor] = {}
+      }
+      reactionEmojiCountByUser[reactor][emoji] = (reactionEmojiCountByUser[reactor][emoji] || 0) + 1
+
+      if (!reactionsByReactor[reactor]) {
+        reactionsByReactor[reactor] = {}
+      }
+      reactionsByReactor[reactor][sender] = (reactionsByReactor[reactor][sender] || 0) + 1
+    }
+
+    if (message.reactions?.length) {
+      reactedMessages.push(message)
+    }
+
     // Count emojis
     if (!emojiCountByUser[sender]) {
       emojiCountByUser[sender] = {}
@@ -290,19 +754,199 @@ function calculateStatistics(messages) {
     .map(([emoji, count]) => ({ emoji, count }))
     .sort((a, b) => b.count - a.count)
 
+  // Most used reaction emoji per reactor
+  const favoriteReactionByUser = {}
+  for (const [reactor, emojiCounts] of Object.entries(reactionEmojiCountByUser)) {
+    const [emoji, count] = Object.entries(emojiCounts).sort((a, b) => b[1] - a[1])[0]
+    favoriteReactionByUser[reactor] = { emoji, count }
+  }
+
+  const linkDomains = Object.entries(linkDomainCount)
+    .map(([domain, count]) => ({ domain, count }))
+    .sort((a, b) => b.count - a.count)
+
+  const mostReactedMessages = reactedMessages
+    .sort((a, b) => b.reactions.length - a.reactions.length)
+    .slice(0, MOST_REACTED_LIMIT)
+    .map(({ sender, content, timestamp, type, reactions }) => ({ sender, content, timestamp, type, reactions }))
+
+  // Average, median and histogram of message length per user
+  const messageLengthByUser = {}
+  for (const [sender, { characters, words, longestMessage }] of Object.entries(lengthsByUser)) {
+    const lengthBuckets = Object.fromEntries(MESSAGE_LENGTH_BUCKETS.map(bucket => [bucket.label, 0]))
+    for (const count of words) {
+      lengthBuckets[MESSAGE_LENGTH_BUCKETS.find(bucket => count <= bucket.max).label]++
+    }
+
+    messageLengthByUser[sender] = {
+      messages: words.length,
+      averageCharacters: average(characters),
+      medianCharacters: median(characters),
+      averageWords: average(words),
+      medianWords: median(words),
+      longestMessage,
+      lengthBuckets,
+    }
+  }
+
   return {
     messageCountByUser,
     emojiCountByUser,
     totalEmojiCount,
     topEmojis,
+    reactionsGivenByUser,
+    reactionsReceivedByUser,
+    reactionEmojiCountByUser,
+    reactionsByReactor,
+    favoriteReactionByUser,
+    mostReactedMessages,
+    messageLengthByUser,
+    messageLengthByMonth,
+    mediaByUser,
+    linkDomains,
+    linkDomainsByUser,
   }
 }
 
+/**
+ * Month key (YYYY-MM) for a timestamp
+ * @param {Date|null} timestamp - Message timestamp
+ * @param {string|null} timeZone - IANA timezone, or null for the browser's zone
+ * @returns {string|null} Month key, or null for missing dates
+ */
+function getMonthKey(timestamp, timeZone) {
+  if (!timestamp || isNaN(timestamp)) return null
+  const { year, month } = getZonedParts(timestamp, timeZone)
+  return `${year}-${String(month).padStart(2, '0')}`
+}
+
+/**
+ * Arithmetic mean of a list of numbers
+ */
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0
+}
+
+/**
+ * Median of a list of numbers
+ */
+function median(values) {
+  if (values.length === 0) return 0
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle]
+}
+
+/**
+ * Merge several parsed exports of the same conversation into one
+ *
+ * Instagram splits long conversations into message_1, message_2, ... files
+ * that may overlap at their boundaries. Messages are ordered chronologically
+ * and a message is only kept as many times as it appears in any single file,
+ * so overlaps collapse while genuine repeats ("ok", "ok") survive.
+ *
+ * The sort is stable: messages sharing a timestamp (HTML exports only go down
+ * to the minute) keep their order within a file, and files are taken oldest
+ * first, so each file's messages must already be oldest first.
+ *
+ * @param {Array} parsedChats - Array of { meta, messages, statistics }, messages oldest first
+ * @returns {Object} Merged chat data with recomputed meta and statistics
+ */
+export function mergeParsedChats(parsedChats) {
+  const maxCountByKey = new Map()
+
+  for (const chat of parsedChats) {
+    const countByKey = new Map()
+    for (const message of chat.messages) {
+      const key = getMessageKey(message)
+      countByKey.set(key, (countByKey.get(key) || 0) + 1)
+    }
+    for (const [key, count] of countByKey) {
+      maxCountByKey.set(key, Math.max(maxCountByKey.get(key) || 0, count))
+    }
+  }
+
+  const sortedMessages = [...parsedChats]
+    .sort((a, b) => compareByTimestamp(a.messages[0] || {}, b.messages[0] || {}))
+    .flatMap(chat => chat.messages)
+    .sort(compareByTimestamp)
+
+  const keptCountByKey = new Map()
+  const messages = []
+
+  for (const message of sortedMessages) {
+    const key = getMessageKey(message)
+    const kept = keptCountByKey.get(key) || 0
+    if (kept < maxCountByKey.get(key)) {
+      keptCountByKey.set(key, kept + 1)
+      messages.push(message)
+    }
+  }
+
+  const conversationTitle = parsedChats
+    .map(chat => chat.meta?.conversationTitle)
+    .find(title => title && title !== 'Unknown') || 'Unknown'
+
+  return buildParsedChat(conversationTitle, messages)
+}
+
+/**
+ * Identity key used to spot the same message in overlapping files
+ * @param {Object} message - Parsed message object
+ * @returns {string} Key built from sender, time, type and content
+ */
+function getMessageKey(message) {
+  const time = message.timestamp instanceof Date ? message.timestamp.getTime() : ''
+  return `${message.sender}|${time}|${message.type}|${message.content}`
+}
+
+/**
+ * Sort comparator: oldest first, messages without a valid timestamp last
+ */
+function compareByTimestamp(a, b) {
+  const timeA = a.timestamp instanceof Date && !isNaN(a.timestamp) ? a.timestamp.getTime() : Infinity
+  const timeB = b.timestamp instanceof Date && !isNaN(b.timestamp) ? b.timestamp.getTime() : Infinity
+  if (timeA === timeB) return 0
+  return timeA < timeB ? -1 : 1
+}
+
+/**
+ * Instagram HTML export format, for the parser registry
+ */
+export const instagramHtmlFormat = {
+  id: 'instagram-html',
+  label: 'Instagram HTML',
+  extensions: ['.html', '.htm'],
+  mimeTypes: ['text/html'],
+  detect(file, head) {
+    return /<html/i.test(head) && /uiBoxWhite|_a6-g|_3-95/.test(head)
+  },
+  parse: parseChatHTML,
+  newestFirst: true,
+}
+
+/**
+ * Instagram JSON export format, for the parser registry
+ */
+export const instagramJsonFormat = {
+  id: 'instagram-json',
+  label: 'Instagram JSON',
+  extensions: ['.json'],
+  mimeTypes: ['application/json'],
+  detect(file, head) {
+    return head.trimStart().startsWith('{') && /"(participants|sender_name|thread_path)"\s*:/.test(head)
+  },
+  parse: parseChatJSON,
+  newestFirst: true,
+}
+
 /**
  * Composable for chat parsing
  */
 export function useChatParser() {
   return {
     parseChatHTML,
+    parseChatJSON,
+    mergeParsedChats,
   }
 }
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest'
-import { extractEmojis } from './useChatParser'
+import { extractEmojis, fixMojibake, parseChatHTML, parseChatJSON, mergeParsedChats, buildParsedChat } from './useChatParser'
 
 describe('useChatParser - Emoji Extraction', () => {
   describe('Basic Emoji Extraction', () => {
@@ -253,3 +253,428 @@ describe('useChatParser - Emoji Extraction', () => {
     })
   })
 })
+
+/**
+ * Encode text the way Instagram's JSON export does: one code unit per UTF-8 byte
+ */
+function toMojibake(text) {
+  return Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join('')
+}
+
+function jsonFile(data) {
+  return new File([JSON.stringify(data)], 'message_1.json', { type: 'application/json' })
+}
+
+describe('useChatParser - Mojibake Repair', () => {
+  it('restores accented characters', () => {
+    expect(fixMojibake(toMojibake('Café crème'))).toBe('Café crème')
+  })
+
+  it('restores emojis, including ZWJ sequences', () => {
+    expect(fixMojibake(toMojibake('I love you ❤️ 🙂‍↕️'))).toBe('I love you ❤️ 🙂‍↕️')
+  })
+
+  it('leaves plain ASCII untouched', () => {
+    expect(fixMojibake('Hello world')).toBe('Hello world')
+  })
+
+  it('leaves already-decoded text untouched', () => {
+    expect(fixMojibake('Déjà vu 😊')).toBe('Déjà vu 😊')
+  })
+
+  it('keeps genuine latin1 text that is not valid UTF-8', () => {
+    expect(fixMojibake('Señor')).toBe('Señor')
+  })
+
+  it('handles empty and non-string input', () => {
+    expect(fixMojibake('')).toBe('')
+    expect(fixMojibake(null)).toBe('')
+  })
+})
+
+describe('useChatParser - JSON Export', () => {
+  const exportData = {
+    participants: [{ name: 'Alice' }, { name: 'Bob' }],
+    title: toMojibake('Alice & Bob 💕'),
+    messages: [
+      {
+        sender_name: 'Bob',
+        timestamp_ms: 1760592480000,
+        content: toMojibake('À demain ❤️'),
+        reactions: [{ reaction: toMojibake('😍'), actor: 'Alice' }],
+      },
+      {
+        sender_name: 'Alice',
+        timestamp_ms: 1760592420000,
+        photos: [{ uri: 'your_instagram_activity/messages/photo.jpg', creation_timestamp: 1760592420 }],
+      },
+      {
+        sender_name: 'Alice',
+        timestamp_ms: 1760592360000,
+        content: 'Alice sent an attachment.',
+        share: { link: 'https://www.instagram.com/reel/abc/', share_text: 'funny reel' },
+      },
+      {
+        sender_name: 'Bob',
+        timestamp_ms: 1760592300000,
+        content: 'Audio call ended',
+        call_duration: 754,
+      },
+    ],
+  }
+
+  it('returns the same shape as the HTML parser', async () => {
+    const result = await parseChatJSON(jsonFile(exportData))
+
+    expect(Object.keys(result)).toEqual(['meta', 'messages', 'statistics'])
+    expect(result.meta.conversationTitle).toBe('Alice & Bob 💕')
+    expect(result.meta.totalMessages).toBe(4)
+    expect(result.meta.participants).toEqual(['Bob', 'Alice'])
+    expect(result.meta.dateRange.start).toEqual(new Date(1760592300000))
+    expect(result.meta.dateRange.end).toEqual(new Date(1760592480000))
+    expect(result.statistics.messageCountByUser).toEqual({ Bob: 2, Alice: 2 })
+  })
+
+  it('decodes content and extracts emojis from it', async () => {
+    const { messages, statistics } = await parseChatJSON(jsonFile(exportData))
+
+    expect(messages[0].content).toBe('À demain ❤️')
+    expect(messages[0].emojis).toEqual(['❤️'])
+    expect(messages[0].timestamp).toEqual(new Date(1760592480000))
+    expect(statistics.topEmojis).toEqual([{ emoji: '❤️', count: 1 }])
+  })
+
+  it('maps reactions, photos, shares and call durations', async () => {
+    const { messages } = await parseChatJSON(jsonFile(exportData))
+
+    expect(messages[0].reactions).toEqual([{ emoji: '😍', reactor: 'Alice' }])
+    expect(messages[0].type).toBe('text')
+
+    expect(messages[1].photos).toEqual(['your_instagram_activity/messages/photo.jpg'])
+    expect(messages[1].type).toBe('image')
+
+    expect(messages[2].share).toEqual({ link: 'https://www.instagram.com/reel/abc/', text: 'funny reel' })
+    expect(messages[2].type).toBe('attachment')
+
+    expect(messages[3].callDuration).toBe(754)
+    expect(messages[3].type).toBe('call')
+    expect(messages[3].call).toEqual({ event: 'ended', medium: 'audio', duration: 754 })
+  })
+
+  it('classifies media kinds and collects links', async () => {
+    const { messages, statistics } = await parseChatJSON(jsonFile({
+      messages: [
+        { sender_name: 'Alice', timestamp_ms: 1, videos: [{ uri: 'video.mp4' }] },
+        { sender_name: 'Alice', timestamp_ms: 2, audio_files: [{ uri: 'voice.mp4' }] },
+        { sender_name: 'Bob', timestamp_ms: 3, sticker: { uri: 'sticker.png' } },
+        { sender_name: 'Bob', timestamp_ms: 4, content: 'Replied to your story', share: { link: 'https://www.instagram.com/stories/alice/1/' } },
+        { sender_name: 'Bob', timestamp_ms: 5, content: 'this https://www.youtube.com/watch?v=1' },
+        { sender_name: 'Bob', timestamp_ms: 6, content: 'just text' },
+      ],
+    }))
+
+    expect(messages.map(m => m.mediaKind ?? null)).toEqual(['video', 'voice', 'gif', 'story', 'link', null])
+    expect(messages[4].links).toEqual(['https://www.youtube.com/watch?v=1'])
+    expect(messages[5]).not.toHaveProperty('links')
+    expect(statistics.mediaByUser.Bob).toMatchObject({ gif: 1, story: 1, link: 1, voice: 0 })
+    expect(statistics.linkDomainsByUser.Bob).toEqual({ 'instagram.com': 1, 'youtube.com': 1 })
+  })
+
+  it('tags shared reels and photos', async () => {
+    const { messages } = await parseChatJSON(jsonFile(exportData))
+
+    expect(messages[1].mediaKind).toBe('photo')
+    expect(messages[2].mediaKind).toBe('share')
+    expect(messages[2].links).toEqual(['https://www.instagram.com/reel/abc/'])
+    expect(messages[3]).not.toHaveProperty('mediaKind')
+  })
+
+  it('rejects files without a messages array', async () => {
+    await expect(parseChatJSON(jsonFile({ title: 'Nope' }))).rejects.toThrow('No messages found')
+  })
+
+  it('rejects malformed JSON', async () => {
+    const file = new File(['{ not json'], 'message_1.json', { type: 'application/json' })
+    await expect(parseChatJSON(file)).rejects.toThrow('Failed to parse chat file')
+  })
+})
+
+describe('useChatParser - Merging Multi-part Exports', () => {
+  function message(sender, content, minute) {
+    return {
+      sender,
+      content,
+      timestamp: new Date(2025, 9, 16, 5, minute),
+      emojis: extractEmojis(content),
+      type: 'text',
+    }
+  }
+
+  // The registry hands each file over oldest first; message_1 holds the newest part
+  const part1 = buildParsedChat('Alice & Bob', [
+    message('Bob', 'Dinner?', 3),
+    message('Alice', 'ok', 4),
+    message('Alice', 'ok', 4),
+    message('Bob', 'See you 😊', 5),
+  ])
+  const part2 = buildParsedChat('Alice & Bob', [
+    message('Bob', 'Hey', 1),
+    message('Alice', 'Hi', 2),
+    message('Bob', 'Dinner?', 3),
+  ])
+
+  it('orders messages chronologically across files', () => {
+    const merged = mergeParsedChats([part1, part2])
+
+    expect(merged.messages.map(m => m.content)).toEqual(['Hey', 'Hi', 'Dinner?', 'ok', 'ok', 'See you 😊'])
+  })
+
+  it('keeps the sending order of messages from the same minute', () => {
+    const newer = buildParsedChat('Alice & Bob', [message('Alice', 'Yes!', 3), message('Bob', 'Great', 3)])
+    const older = buildParsedChat('Alice & Bob', [message('Bob', 'Hey', 1), message('Bob', 'Dinner?', 3)])
+    const merged = mergeParsedChats([newer, older])
+
+    expect(merged.messages.map(m => m.content)).toEqual(['Hey', 'Dinner?', 'Yes!', 'Great'])
+  })
+
+  it('drops messages duplicated at file boundaries but keeps genuine repeats', () => {
+    const merged = mergeParsedChats([part1, part2])
+
+    expect(merged.messages.filter(m => m.content === 'Dinner?')).toHaveLength(1)
+    expect(merged.messages.filter(m => m.content === 'ok')).toHaveLength(2)
+  })
+
+  it('recomputes meta and statistics over the combined set', () => {
+    const merged = mergeParsedChats([part1, part2])
+
+    expect(merged.meta.conversationTitle).toBe('Alice & Bob')
+    expect(merged.meta.totalMessages).toBe(6)
+    expect(merged.meta.dateRange.start).toEqual(new Date(2025, 9, 16, 5, 1))
+    expect(merged.meta.dateRange.end).toEqual(new Date(2025, 9, 16, 5, 5))
+    expect(merged.statistics.messageCountByUser).toEqual({ Bob: 3, Alice: 3 })
+    expect(merged.statistics.topEmojis).toEqual([{ emoji: '😊', count: 1 }])
+  })
+
+  it('puts messages without timestamps last', () => {
+    const undated = buildParsedChat('Unknown', [{ ...message('Alice', 'Lost', 0), timestamp: null }])
+    const merged = mergeParsedChats([undated, part2])
+
+    expect(merged.messages.at(-1).content).toBe('Lost')
+    expect(merged.meta.conversationTitle).toBe('Alice & Bob')
+  })
+})
+
+/**
+ * Build a minimal Instagram HTML export around message blocks
+ */
+function htmlFile(messageBlocks) {
+  const html = `<html><head><title>Alice</title></head><body>
+<header><h1>Alice</h1></header>
+${messageBlocks.join('\n')}
+</body></html>`
+  return new File([html], 'message_1.html', { type: 'text/html' })
+}
+
+function htmlMessage(sender, text, time, extra = '') {
+  return `<div class="pam _3-95 _2ph- _a6-g uiBoxWhite noborder">
+  <h2 class="_3-95 _2pim _a6-h _a6-i">${sender}</h2>
+  <div class="_3-95 _a6-p"><div><div></div><div>${text}</div><div></div>${extra}</div></div>
+  <div class="_3-94 _a6-o">${time}</div>
+</div>`
+}
+
+describe('useChatParser - Localized Timestamps', () => {
+  it('parses non-English and 24-hour timestamps', async () => {
+    const { messages, meta } = await parseChatHTML(htmlFile([
+      htmlMessage('Alice', 'Hallo', '16. Okt. 2025, 17:28'),
+      htmlMessage('Bob', 'Hola', '17 de octubre de 2025 09:05'),
+    ]))
+
+    expect(messages[0].timestamp).toEqual(new Date(2025, 9, 16, 17, 28))
+    expect(messages[1].timestamp).toEqual(new Date(2025, 9, 17, 9, 5))
+    expect(meta.unparsedTimestamps).toEqual({ count: 0, examples: [] })
+  })
+
+  it('works out numeric date order from the whole export', async () => {
+    const { messages } = await parseChatHTML(htmlFile([
+      htmlMessage('Alice', 'First', '03/04/2025 10:00'),
+      htmlMessage('Bob', 'Second', '04/25/2025 10:00'),
+    ]))
+
+    expect(messages[0].timestamp).toEqual(new Date(2025, 2, 4, 10))
+  })
+
+  it('honours a locale override', async () => {
+    const { messages } = await parseChatHTML(htmlFile([
+      htmlMessage('Alice', 'Ciao', '03/04/2025 10:00'),
+    ]), { locale: 'en' })
+
+    expect(messages[0].timestamp).toEqual(new Date(2025, 2, 4, 10))
+  })
+
+  it('reports timestamps it cannot read instead of dropping them silently', async () => {
+    const { messages, meta } = await parseChatHTML(htmlFile([
+      htmlMessage('Alice', 'Hello', 'Oct 16, 2025 5:28 am'),
+      htmlMessage('Bob', 'Hi', '昨天 17:28'),
+    ]))
+
+    expect(messages).toHaveLength(2)
+    expect(messages[1].timestamp).toBeNull()
+    expect(messages[1].timestampText).toBe('昨天 17:28')
+    expect(meta.unparsedTimestamps).toEqual({ count: 1, examples: ['昨天 17:28'] })
+    expect(meta.dateRange.start).toEqual(new Date(2025, 9, 16, 5, 28))
+  })
+})
+
+describe('useChatParser - Reactions', () => {
+  const reactionList = '<ul class="_a6-q"><li><span>❤️Alice</span></li><li><span>😂Bob Smith</span></li></ul>'
+
+  it('parses reactions from HTML into { emoji, reactor }', async () => {
+    const { messages } = await parseChatHTML(htmlFile([
+      htmlMessage('Bob Smith', 'Best day ever', 'Oct 16, 2025 5:28 am', reactionList),
+    ]))
+
+    expect(messages[0].reactions).toEqual([
+      { emoji: '❤️', reactor: 'Alice' },
+      { emoji: '😂', reactor: 'Bob Smith' },
+    ])
+  })
+
+  it('keeps reaction text out of message content and emoji counts', async () => {
+    const { messages, statistics } = await parseChatHTML(htmlFile([
+      htmlMessage('Bob Smith', 'Best day ever', 'Oct 16, 2025 5:28 am', reactionList),
+    ]))
+
+    expect(messages[0].content).toBe('Best day ever')
+    expect(messages[0].emojis).toEqual([])
+    expect(statistics.topEmojis).toEqual([])
+  })
+
+  it('omits reactions on messages without any', async () => {
+    const { messages } = await parseChatHTML(htmlFile([
+      htmlMessage('Alice', 'Hello', 'Oct 16, 2025 5:27 am'),
+    ]))
+
+    expect(messages[0]).not.toHaveProperty('reactions')
+  })
+
+  it('classifies media and links in HTML messages', async () => {
+    const { messages } = await parseChatHTML(htmlFile([
+      htmlMessage('Alice', '', 'Oct 16, 2025 5:27 am', '<img src="photos/1.jpg">'),
+      htmlMessage('Alice', '', 'Oct 16, 2025 5:28 am', '<video src="videos/1.mp4"></video>'),
+      htmlMessage('Bob', '', 'Oct 16, 2025 5:29 am', '<img src="gifs/funny.gif">'),
+      htmlMessage('Bob', 'Alice sent an attachment.', 'Oct 16, 2025 5:30 am', '<a href="https://www.instagram.com/reel/abc/">reel</a>'),
+    ]))
+
+    expect(messages.map(m => m.mediaKind)).toEqual(['photo', 'video', 'gif', 'share'])
+    expect(messages[3].links).toEqual(['https://www.instagram.com/reel/abc/'])
+  })
+
+  it('parses call notices in HTML messages', async () => {
+    const { messages } = await parseChatHTML(htmlFile([
+      htmlMessage('Alice', 'Alice started a video call', 'Oct 16, 2025 5:27 am'),
+      htmlMessage('Alice', 'Video chat ended', 'Oct 16, 2025 5:40 am'),
+      htmlMessage('Bob', 'Missed audio call', 'Oct 16, 2025 6:00 am'),
+    ]))
+
+    expect(messages.map(m => m.type)).toEqual(['call', 'call', 'call'])
+    expect(messages.map(m => m.call.event)).toEqual(['started', 'ended', 'missed'])
+    expect(messages[0].call.medium).toBe('video')
+  })
+
+  it('classifies "Reacted ... to your message" notices as reactions', async () => {
+    const { messages } = await parseChatHTML(htmlFile([
+      htmlMessage('Alice', 'Reacted ❤️ to your message', 'Oct 16, 2025 5:27 am'),
+    ]))
+
+    expect(messages[0].type).toBe('reaction')
+  })
+
+  describe('statistics', () => {
+    const at = minute => new Date(2025, 9, 16, 5, minute)
+    const { statistics } = buildParsedChat('Alice & Bob', [
+      { sender: 'Alice', content: 'a', timestamp: at(1), emojis: [], type: 'text', reactions: [{ emoji: '❤️', reactor: 'Bob' }] },
+      {
+        sender: 'Bob',
+        content: 'b',
+        timestamp: at(2),
+        emojis: [],
+        type: 'text',
+        reactions: [{ emoji: '😂', reactor: 'Alice' }, { emoji: '❤️', reactor: 'Bob' }],
+      },
+      { sender: 'Alice', content: 'c', timestamp: at(3), emojis: [], type: 'text', reactions: [{ emoji: '❤️', reactor: 'Bob' }] },
+      { sender: 'Bob', content: 'd', timestamp: at(4), emojis: [], type: 'text' },
+    ])
+
+    it('counts reactions given and received per person', () => {
+      expect(statistics.reactionsGivenByUser).toEqual({ Bob: 3, Alice: 1 })
+      expect(statistics.reactionsReceivedByUser).toEqual({ Alice: 2, Bob: 2 })
+    })
+
+    it('tracks who reacts to whom', () => {
+      expect(statistics.reactionsByReactor).toEqual({
+        Bob: { Alice: 2, Bob: 1 },
+        Alice: { Bob: 1 },
+      })
+    })
+
+    it('finds each person\'s favorite reaction', () => {
+      expect(statistics.favoriteReactionByUser).toEqual({
+        Bob: { emoji: '❤️', count: 3 },
+        Alice: { emoji: '😂', count: 1 },
+      })
+    })
+
+    it('ranks the most reacted messages', () => {
+      expect(statistics.mostReactedMessages.map(m => m.content)).toEqual(['b', 'a', 'c'])
+      expect(statistics.mostReactedMessages[0].reactions).toHaveLength(2)
+    })
+  })
+})
+
+describe('useChatParser - Message Length', () => {
+  function message(sender, content, timestamp, type = 'text') {
+    return { sender, content, timestamp, emojis: [], type }
+  }
+
+  const { statistics } = buildParsedChat('Alice & Bob', [
+    message('Alice', 'k', new Date(2025, 8, 30)),
+    message('Alice', 'on my way now', new Date(2025, 9, 1)),
+    message('Alice', 'sent an attachment.', new Date(2025, 9, 2), 'attachment'),
+    message('Bob', 'So here is the thing about yesterday, I really think we should talk about it properly', new Date(2025, 9, 3)),
+    message('Bob', 'ok', new Date(2025, 9, 4)),
+    message('Bob', 'sure thing', new Date(2025, 9, 5)),
+  ])
+
+  it('summarises length per person from written messages only', () => {
+    const { Alice, Bob } = statistics.messageLengthByUser
+
+    expect(Alice).toMatchObject({
+      messages: 2,
+      averageCharacters: 7,
+      medianCharacters: 7,
+      averageWords: 2.5,
+      medianWords: 2.5,
+    })
+    expect(Bob.medianWords).toBe(2)
+    expect(Bob.longestMessage).toMatchObject({ words: 16, timestamp: new Date(2025, 9, 3) })
+  })
+
+  it('buckets messages from one-word replies to paragraphs', () => {
+    expect(statistics.messageLengthByUser.Alice.lengthBuckets).toEqual({
+      'One word': 1,
+      'Short (2–5)': 1,
+      'Sentence (6–15)': 0,
+      'Long (16–40)': 0,
+      'Paragraph (41+)': 0,
+    })
+    expect(statistics.messageLengthByUser.Bob.lengthBuckets['Long (16–40)']).toBe(1)
+  })
+
+  it('totals length per month', () => {
+    expect(statistics.messageLengthByMonth['2025-09']).toEqual({
+      Alice: { messages: 1, characters: 1, words: 1 },
+    })
+    expect(statistics.messageLengthByMonth['2025-10'].Alice).toEqual({ messages: 1, characters: 13, words: 4 })
+  })
+})
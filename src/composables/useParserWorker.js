@@ -0,0 +1,100 @@
+import { getCurrentScope, onScopeDispose, ref } from 'vue'
+import { parseChatFiles } from '@/utils/parserRegistry'
+
+/**
+ * Error used to reject a parse that the user cancelled
+ */
+export class ParseCancelledError extends Error {
+  constructor() {
+    super('Parsing cancelled')
+    this.name = 'ParseCancelledError'
+  }
+}
+
+/**
+ * Composable for parsing chat exports in a Web Worker
+ *
+ * Falls back to parsing on the main thread where Workers are unavailable
+ * (e.g. the test environment). Only one parse runs at a time.
+ */
+export function useParserWorker() {
+  const isParsing = ref(false)
+
+  let worker = null
+  let rejectPending = null
+
+  /**
+   * Parse and merge chat export files
+   * @param {File[]} files - Chat export files
+   * @param {Function} [onProgress] - Called with progress from parseChatFiles
+   * @param {Object} [options] - { locale } language of the export's timestamps
+   * @returns {Promise<Object>} Parsed chat data
+   * @throws {ParseCancelledError} If cancel() is called before parsing finishes
+   */
+  function parseFiles(files, onProgress, { locale = 'auto' } = {}) {
+    cancel()
+    isParsing.value = true
+
+    return new Promise((resolve, reject) => {
+      rejectPending = reject
+
+      const settle = (callback, value) => {
+        if (rejectPending !== reject) return // cancelled or superseded
+        finish()
+        callback(value)
+      }
+
+      if (typeof Worker === 'undefined') {
+        parseChatFiles(files, { onProgress, locale })
+          .then(result => settle(resolve, result))
+          .catch(error => settle(reject, error))
+        return
+      }
+
+      worker = new Worker(new URL('../workers/parser.worker.js', import.meta.url), { type: 'module' })
+
+      worker.onmessage = ({ data }) => {
+        if (data.type === 'progress') {
+          onProgress?.(data.progress)
+        } else if (data.type === 'result') {
+          settle(resolve, data.result)
+        } else if (data.type === 'error') {
+          settle(reject, new Error(data.message))
+        }
+      }
+
+      worker.onerror = (event) => {
+        event.preventDefault?.()
+        settle(reject, new Error(event.message || 'Parser worker failed'))
+      }
+
+      worker.postMessage({ files, locale })
+    })
+  }
+
+  /**
+   * Stop the running parse, if any, and reject it with ParseCancelledError
+   */
+  function cancel() {
+    const reject = rejectPending
+    finish()
+    reject?.(new ParseCancelledError())
+  }
+
+  function finish() {
+    worker?.terminate()
+    worker = null
+    rejectPending = null
+    isParsing.value = false
+  }
+
+  if (getCurrentScope()) {
+    onScopeDispose(cancel)
+  }
+
+  return {
+    isParsing,
+    parseFiles,
+    cancel,
+  }
+}
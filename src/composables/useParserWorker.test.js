@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest'
+import { useParserWorker, ParseCancelledError } from './useParserWorker'
+
+const whatsAppText = [
+  '31/12/2021, 23:58 - Alice: Hi',
+  '31/12/2021, 23:59 - Bob: Hey 👋',
+].join('\n')
+
+function txtFile(name = 'WhatsApp Chat with Alice.txt') {
+  return new File([whatsAppText], name, { type: 'text/plain' })
+}
+
+describe('useParserWorker', () => {
+  it('parses on the main thread when Workers are unavailable', async () => {
+    const { parseFiles, isParsing } = useParserWorker()
+    const progress = []
+
+    const promise = parseFiles([txtFile()], p => progress.push(p))
+    expect(isParsing.value).toBe(true)
+
+    const result = await promise
+
+    expect(isParsing.value).toBe(false)
+    expect(result.meta.totalMessages).toBe(2)
+    expect(progress.at(-1)).toMatchObject({ stage: 'done', percent: 100, messagesFound: 2 })
+  })
+
+  it('reports combined progress across several files', async () => {
+    const { parseFiles } = useParserWorker()
+    const progress = []
+
+    const result = await parseFiles([txtFile('part1.txt'), txtFile('part2.txt')], p => progress.push(p))
+
+    expect(result.meta.totalMessages).toBe(2) // overlapping parts collapse
+    expect(progress.some(p => p.fileIndex === 1 && p.fileCount === 2)).toBe(true)
+    expect(progress.at(-1).totalBytes).toBe(txtFile().size * 2)
+  })
+
+  it('rejects with ParseCancelledError when cancelled', async () => {
+    const { parseFiles, cancel, isParsing } = useParserWorker()
+
+    const promise = parseFiles([txtFile()])
+    cancel()
+
+    await expect(promise).rejects.toBeInstanceOf(ParseCancelledError)
+    expect(isParsing.value).toBe(false)
+  })
+
+  it('cancels the previous parse when a new one starts', async () => {
+    const { parseFiles } = useParserWorker()
+
+    const first = parseFiles([txtFile()])
+    const second = parseFiles([txtFile()])
+
+    await expect(first).rejects.toBeInstanceOf(ParseCancelledError)
+    await expect(second).resolves.toMatchObject({ meta: { totalMessages: 2 } })
+  })
+})
@@ -0,0 +1,91 @@
+import { ref, computed, onMounted, onScopeDispose } from 'vue'
+
+/**
+ * Work out which rows of a fixed-height list are visible
+ * @param {number} scrollTop - Scroll offset of the viewport in pixels
+ * @param {number} viewportHeight - Height of the viewport in pixels
+ * @param {number} itemHeight - Height of each row in pixels
+ * @param {number} itemCount - Number of rows
+ * @param {number} overscan - Extra rows rendered above and below
+ * @returns {Object} { start, end } row indexes, end exclusive
+ */
+export function getVisibleRange(scrollTop, viewportHeight, itemHeight, itemCount, overscan = 5) {
+  const first = Math.floor(scrollTop / itemHeight)
+  const visibleCount = Math.ceil(viewportHeight / itemHeight)
+
+  return {
+    start: Math.max(0, first - overscan),
+    end: Math.min(itemCount, first + visibleCount + overscan),
+  }
+}
+
+/**
+ * Composable for rendering only the visible rows of a long list
+ *
+ * Rows must share one fixed height. Bind containerRef to the scrolling
+ * element, call onScroll from its scroll event, and render visibleItems
+ * inside a spacer of totalHeight, shifted down by offsetY.
+ *
+ * @param {Ref<Array>} items - Reactive list of items
+ * @param {Object} options - { itemHeight: number, overscan: number }
+ */
+export function useVirtualList(items, { itemHeight, overscan = 5 } = {}) {
+  const containerRef = ref(null)
+  const scrollTop = ref(0)
+  const viewportHeight = ref(0)
+
+  let resizeObserver = null
+
+  function measure() {
+    if (containerRef.value) {
+      viewportHeight.value = containerRef.value.clientHeight
+      scrollTop.value = containerRef.value.scrollTop
+    }
+  }
+
+  function onScroll() {
+    measure()
+  }
+
+  function scrollToTop() {
+    if (containerRef.value) {
+      containerRef.value.scrollTop = 0
+    }
+    scrollTop.value = 0
+  }
+
+  const range = computed(() =>
+    getVisibleRange(scrollTop.value, viewportHeight.value, itemHeight, items.value.length, overscan)
+  )
+
+  const visibleItems = computed(() =>
+    items.value
+      .slice(range.value.start, range.value.end)
+      .map((item, offset) => ({ item, index: range.value.start + offset }))
+  )
+
+  const totalHeight = computed(() => items.value.length * itemHeight)
+
+  const offsetY = computed(() => range.value.start * itemHeight)
+
+  onMounted(() => {
+    measure()
+    if (typeof ResizeObserver !== 'undefined' && containerRef.value) {
+      resizeObserver = new ResizeObserver(measure)
+      resizeObserver.observe(containerRef.value)
+    }
+  })
+
+  onScopeDispose(() => {
+    resizeObserver?.disconnect()
+  })
+
+  return {
+    containerRef,
+    visibleItems,
+    totalHeight,
+    offsetY,
+    onScroll,
+    scrollToTop
+  }
+}
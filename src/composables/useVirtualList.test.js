@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest'
+import { ref, nextTick } from 'vue'
+import { mount } from '@vue/test-utils'
+import { getVisibleRange, useVirtualList } from './useVirtualList'
+
+describe('useVirtualList - getVisibleRange', () => {
+  it('covers the viewport plus overscan', () => {
+    expect(getVisibleRange(0, 400, 40, 1000, 5)).toEqual({ start: 0, end: 15 })
+    expect(getVisibleRange(4000, 400, 40, 1000, 5)).toEqual({ start: 95, end: 115 })
+  })
+
+  it('clamps to the list bounds', () => {
+    expect(getVisibleRange(39600, 400, 40, 1000, 5)).toEqual({ start: 985, end: 1000 })
+    expect(getVisibleRange(0, 400, 40, 3, 5)).toEqual({ start: 0, end: 3 })
+  })
+})
+
+describe('useVirtualList', () => {
+  function mountList(items) {
+    let list
+    const wrapper = mount({
+      setup() {
+        list = useVirtualList(items, { itemHeight: 40, overscan: 0 })
+        return list
+      },
+      template: '<div ref="containerRef" @scroll="onScroll"></div>',
+    })
+    return { wrapper, list }
+  }
+
+  it('renders only the rows in view', async () => {
+    const items = ref(Array.from({ length: 100_000 }, (_, i) => i))
+    const { wrapper, list } = mountList(items)
+    const container = wrapper.element
+
+    Object.defineProperty(container, 'clientHeight', { value: 200 })
+    container.scrollTop = 4000
+    await wrapper.trigger('scroll')
+
+    expect(list.visibleItems.value.map(({ index }) => index)).toEqual([100, 101, 102, 103, 104])
+    expect(list.offsetY.value).toBe(4000)
+    expect(list.totalHeight.value).toBe(4_000_000)
+  })
+
+  it('follows changes to the item list', async () => {
+    const items = ref([1, 2, 3])
+    const { list } = mountList(items)
+
+    items.value = [1]
+    await nextTick()
+
+    expect(list.totalHeight.value).toBe(40)
+  })
+})
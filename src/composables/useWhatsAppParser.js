@@ -0,0 +1,301 @@
+import { buildParsedChat, extractEmojis, readFileText, reportParsingProgress } from './useChatParser'
+import { classifyText } from '@/utils/mediaClassifier'
+import { parseCall } from '@/utils/callParser'
+
+/**
+ * WhatsApp Chat Parser
+ *
+ * Parses WhatsApp "Export chat" text files into the same structure as the
+ * Instagram parser, so statistics and charts work unchanged.
+ *
+ * Line formats identified:
+ * - Android: "31/12/2021, 23:59 - Alice: Hello"
+ * - Android (12h): "12/31/21, 11:59 PM - Alice: Hello"
+ * - iOS: "[31/12/2021, 23:59:59] Alice: Hello"
+ * - iOS (12h): "[12/31/21, 11:59:59 PM] Alice: Hello"
+ *
+ * Lines that don't start with a timestamp continue the previous message.
+ */
+
+// Date, time and optional AM/PM marker shared by both platforms.
+// WhatsApp uses a narrow no-break space (U+202F) before AM/PM on newer exports.
+const DATE_TIME = '(\\d{1,4})[./-](\\d{1,2})[./-](\\d{1,4}),?\\s+(\\d{1,2})[:.](\\d{2})(?:[:.](\\d{2}))?(?:[\\s\\u202F]*([AaPp])\\.?\\s?[Mm]\\.?)?'
+
+const IOS_LINE = new RegExp(`^\\u200E?\\[${DATE_TIME}\\]\\s(.*)$`)
+const ANDROID_LINE = new RegExp(`^\\u200E?${DATE_TIME}\\s[-–]\\s(.*)$`)
+
+const SENDER_SEPARATOR = /^([^:]+?):\s(.*)$/s
+
+// mediaKind is one of MEDIA_KINDS, or null where the export doesn't say
+const MEDIA_PATTERNS = [
+  { pattern: /^<Media omitted>$/i, type: 'attachment', mediaKind: null },
+  { pattern: /^(image|photo) omitted$/i, type: 'image', mediaKind: 'photo' },
+  { pattern: /^(audio|voice message) omitted$/i, type: 'audio', mediaKind: 'voice' },
+  { pattern: /^video omitted$/i, type: 'attachment', mediaKind: 'video' },
+  { pattern: /^(GIF|sticker) omitted$/i, type: 'attachment', mediaKind: 'gif' },
+  { pattern: /^(document|Contact card) omitted$/i, type: 'attachment', mediaKind: null },
+  { pattern: /-PHOTO-.*\.(jpe?g|png|webp)>?/i, type: 'image', mediaKind: 'photo' },
+  { pattern: /-AUDIO-.*\.(opus|m4a|mp3)>?/i, type: 'audio', mediaKind: 'voice' },
+  { pattern: /-VIDEO-.*\.(mp4|mov|3gp)>?/i, type: 'attachment', mediaKind: 'video' },
+  { pattern: /-(STICKER|GIF)-.*\.(webp|gif|mp4)>?/i, type: 'attachment', mediaKind: 'gif' },
+  { pattern: /^<attached: .+>$/i, type: 'attachment', mediaKind: null },
+  { pattern: /^.+\.\w{2,4} \(file attached\)$/i, type: 'attachment', mediaKind: null },
+]
+
+const CALL_PATTERN = /^(Missed (voice|video) call|(Voice|Video) call)\b/i
+
+// "Voice call. 12 min", "Video call, 1 hr 5 min": a duration is all that may follow
+const CALL_DURATION_SUFFIX = /^(Voice|Video) call[.,](\s+\d+\s*(hr|min|sec)s?)+$/i
+
+const DELETED_PATTERN = /^(This message was deleted|You deleted this message)\.?$/i
+
+const EDITED_SUFFIX = /\s*<This message was edited>$/
+
+/**
+ * Parse WhatsApp text chat export
+ * @param {File} file - .txt file from WhatsApp "Export chat"
+ * @param {Object} options - { onProgress } called with reading/parsing progress
+ * @returns {Promise<Object>} Parsed chat data, same shape as parseChatHTML
+ */
+export async function parseWhatsAppText(file, { onProgress } = {}) {
+  try {
+    // Step 1: Read file content
+    const rawText = await readFileText(file, onProgress)
+    onProgress?.({ stage: 'parsing', messagesFound: 0, fraction: 0 })
+    const lines = rawText.replace(/^\uFEFF/, '').split(/\r?\n/)
+
+    // Step 2: Split lines into timestamped entries, folding continuation lines
+    const entries = groupLines(lines)
+
+    if (entries.length === 0) {
+      throw new Error('No WhatsApp messages found')
+    }
+
+    // Step 3: Work out whether dates are day-first or month-first
+    const dateOrder = detectDateOrder(entries)
+
+    // Step 4: Extract messages, skipping system lines
+    const messages = []
+
+    for (const [index, entry] of entries.entries()) {
+      const message = parseEntry(entry, dateOrder)
+      if (message) {
+        messages.push(message)
+      }
+      reportParsingProgress(onProgress, index, entries.length, messages.length)
+    }
+
+    // Step 5: Extract metadata and statistics
+    onProgress?.({ stage: 'statistics', messagesFound: messages.length, fraction: 1 })
+    const conversationTitle = extractTitle(file.name, messages)
+    return buildParsedChat(conversationTitle, messages)
+  } catch (error) {
+    console.error('Error parsing WhatsApp chat:', error)
+    throw new Error(`Failed to parse chat file: ${error.message}`)
+  }
+}
+
+/**
+ * Group raw lines into entries, appending multi-line message bodies
+ * @param {string[]} lines - Lines of the export file
+ * @returns {Array} Array of { dateParts, body }
+ */
+function groupLines(lines) {
+  const entries = []
+
+  for (const line of lines) {
+    const match = line.match(IOS_LINE) || line.match(ANDROID_LINE)
+
+    if (match) {
+      const [, first, second, third, hours, minutes, seconds, meridiem, body] = match
+      entries.push({
+        dateParts: [first, second, third],
+        time: { hours: Number(hours), minutes: Number(minutes), seconds: Number(seconds || 0), meridiem },
+        body,
+      })
+    } else if (entries.length > 0) {
+      entries[entries.length - 1].body += `\n${line}`
+    }
+  }
+
+  return entries
+}
+
+/**
+ * Detect the date component order used by the export
+ * @param {Array} entries - Grouped entries
+ * @returns {string} 'ymd', 'dmy' or 'mdy'
+ */
+function detectDateOrder(entries) {
+  for (const { dateParts } of entries) {
+    if (dateParts[0].length === 4) return 'ymd'
+    if (Number(dateParts[0]) > 12) return 'dmy'
+    if (Number(dateParts[1]) > 12) return 'mdy'
+  }
+
+  // Ambiguous throughout: 12h clocks are mostly US exports (month first)
+  return entries.some(entry => entry.time.meridiem) ? 'mdy' : 'dmy'
+}
+
+/**
+ * Parse a grouped entry into a message
+ * @param {Object} entry - { dateParts, time, body }
+ * @param {string} dateOrder - 'ymd', 'dmy' or 'mdy'
+ * @returns {Object|null} Parsed message object, or null for system lines
+ */
+function parseEntry(entry, dateOrder) {
+  const senderMatch = entry.body.match(SENDER_SEPARATOR)
+
+  // System lines ("Messages and calls are end-to-end encrypted", "Alice added Bob") have no sender
+  if (!senderMatch) return null
+
+  const sender = senderMatch[1].replace(/\u200E/g, '').trim()
+  const rawContent = senderMatch[2]
+  const content = rawContent.replace(/\u200E/g, '').replace(EDITED_SUFFIX, '').trim()
+
+  const type = determineMessageType(content, rawContent)
+  if (type === 'system') return null
+
+  // Placeholders like "<Media omitted>" aren't something the sender wrote
+  const hasText = type === 'text' || type === 'call'
+
+  const message = {
+    sender,
+    content: hasText ? content : '',
+    timestamp: buildTimestamp(entry.dateParts, entry.time, dateOrder),
+    emojis: hasText ? extractEmojis(content) : [],
+    type,
+  }
+
+  if (type === 'call') {
+    message.call = parseCall(content)
+  }
+
+  const { mediaKind, links } = determineMediaKind(content, type)
+  if (mediaKind) {
+    message.mediaKind = mediaKind
+  }
+  if (links.length > 0) {
+    message.links = links
+  }
+
+  return message
+}
+
+/**
+ * Determine message type (text, attachment, call, etc.)
+ * @param {string} content - Cleaned message content
+ * @param {string} rawContent - Content including WhatsApp's U+200E markers
+ * @returns {string} Message type
+ */
+function determineMessageType(content, rawContent) {
+  for (const { pattern, type } of MEDIA_PATTERNS) {
+    if (pattern.test(content)) {
+      return type
+    }
+  }
+  // Only WhatsApp's own notices: marked with U+200E or ending in a call duration
+  if (CALL_PATTERN.test(content) && (rawContent.startsWith('\u200E') || CALL_DURATION_SUFFIX.test(content))) {
+    return 'call'
+  }
+  if (DELETED_PATTERN.test(content)) {
+    return 'deleted'
+  }
+  // iOS prefixes system notices posted under a participant's name with U+200E
+  if (rawContent.startsWith('\u200E')) {
+    return 'system'
+  }
+  if (content.length === 0) {
+    return 'empty'
+  }
+  return 'text'
+}
+
+/**
+ * Determine the kind of media a message carries
+ * @param {string} content - Cleaned message content
+ * @param {string} type - Message type from determineMessageType
+ * @returns {Object} { mediaKind: string|null, links: string[] }
+ */
+function determineMediaKind(content, type) {
+  for (const { pattern, mediaKind } of MEDIA_PATTERNS) {
+    if (pattern.test(content)) {
+      return { mediaKind, links: [] }
+    }
+  }
+  return type === 'text' ? classifyText(content) : { mediaKind: null, links: [] }
+}
+
+/**
+ * Build a local Date from the matched date and time parts
+ * @param {string[]} dateParts - Three date components in file order
+ * @param {Object} time - { hours, minutes, seconds, meridiem }
+ * @param {string} dateOrder - 'ymd', 'dmy' or 'mdy'
+ * @returns {Date|null} Parsed date object
+ */
+function buildTimestamp(dateParts, time, dateOrder) {
+  const [a, b, c] = dateParts.map(Number)
+
+  let year, month, day
+  if (dateOrder === 'ymd') {
+    [year, month, day] = [a, b, c]
+  } else if (dateOrder === 'mdy') {
+    [month, day, year] = [a, b, c]
+  } else {
+    [day, month, year] = [a, b, c]
+  }
+
+  if (year < 100) {
+    year += 2000
+  }
+
+  let hours = time.hours
+  if (time.meridiem) {
+    const isPm = time.meridiem.toLowerCase() === 'p'
+    hours = (hours % 12) + (isPm ? 12 : 0)
+  }
+
+  const date = new Date(year, month - 1, day, hours, time.minutes, time.seconds)
+  return isNaN(date) ? null : date
+}
+
+/**
+ * Derive a conversation title from the export file name
+ * @param {string} fileName - e.g. "WhatsApp Chat with Alice.txt"
+ * @param {Array} messages - Parsed messages (fallback to participant names)
+ * @returns {string} Conversation title
+ */
+function extractTitle(fileName, messages) {
+  const match = fileName?.match(/^WhatsApp Chat (?:with|-) (.+)\.txt$/i)
+  if (match) {
+    return match[1]
+  }
+
+  const senders = [...new Set(messages.map(m => m.sender))]
+  return senders.length > 0 ? senders.join(' & ') : 'Unknown'
+}
+
+/**
+ * WhatsApp text export format, for the parser registry
+ */
+export const whatsAppTextFormat = {
+  id: 'whatsapp-txt',
+  label: 'WhatsApp text',
+  extensions: ['.txt'],
+  mimeTypes: [],
+  detect(file, head) {
+    // Skip the BOM and any blank lines, then expect a timestamped line
+    const firstLine = head.replace(/^\uFEFF/, '').split(/\r?\n/).find(line => line.trim())
+    return Boolean(firstLine && (IOS_LINE.test(firstLine) || ANDROID_LINE.test(firstLine)))
+  },
+  parse: parseWhatsAppText,
+}
+
+/**
+ * Composable for WhatsApp chat parsing
+ */
+export function useWhatsAppParser() {
+  return {
+    parseWhatsAppText,
+  }
+}
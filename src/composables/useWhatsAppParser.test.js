@@ -0,0 +1,197 @@
+import { describe, it, expect } from 'vitest'
+import { parseWhatsAppText } from './useWhatsAppParser'
+
+function txtFile(lines, name = 'WhatsApp Chat with Alice.txt') {
+  return new File([lines.join('\n')], name, { type: 'text/plain' })
+}
+
+describe('useWhatsAppParser - Line Formats', () => {
+  it('parses Android 24h exports', async () => {
+    const { messages } = await parseWhatsAppText(txtFile([
+      '31/12/2021, 23:59 - Alice: Happy new year! 🎉',
+      '01/01/2022, 00:01 - Bob: You too',
+    ]))
+
+    expect(messages).toHaveLength(2)
+    expect(messages[0]).toEqual({
+      sender: 'Alice',
+      content: 'Happy new year! 🎉',
+      timestamp: new Date(2021, 11, 31, 23, 59, 0),
+      emojis: ['🎉'],
+      type: 'text',
+    })
+    expect(messages[1].timestamp).toEqual(new Date(2022, 0, 1, 0, 1, 0))
+  })
+
+  it('parses Android 12h exports with month-first dates', async () => {
+    const { messages } = await parseWhatsAppText(txtFile([
+      '12/31/21, 11:59 PM - Alice: Almost midnight',
+      '1/1/22, 12:05 AM - Bob: Made it',
+    ]))
+
+    expect(messages[0].timestamp).toEqual(new Date(2021, 11, 31, 23, 59, 0))
+    expect(messages[1].timestamp).toEqual(new Date(2022, 0, 1, 0, 5, 0))
+  })
+
+  it('parses AM/PM markers preceded by a narrow no-break space', async () => {
+    const { messages } = await parseWhatsAppText(txtFile([
+      '12/31/21, 1:15\u202FPM - Alice: Lunch?',
+    ]))
+
+    expect(messages[0].timestamp).toEqual(new Date(2021, 11, 31, 13, 15, 0))
+  })
+
+  it('parses iOS 24h exports with seconds', async () => {
+    const { messages } = await parseWhatsAppText(txtFile([
+      '[31/12/2021, 23:59:30] Alice: Hello',
+    ]))
+
+    expect(messages[0].sender).toBe('Alice')
+    expect(messages[0].content).toBe('Hello')
+    expect(messages[0].timestamp).toEqual(new Date(2021, 11, 31, 23, 59, 30))
+  })
+
+  it('parses iOS 12h exports', async () => {
+    const { messages } = await parseWhatsAppText(txtFile([
+      '[12/31/21, 9:05:10 AM] Bob: Morning ☀️',
+    ]))
+
+    expect(messages[0].timestamp).toEqual(new Date(2021, 11, 31, 9, 5, 10))
+    expect(messages[0].emojis).toEqual(['☀️'])
+  })
+
+  it('treats ambiguous 24h dates as day-first', async () => {
+    const { messages } = await parseWhatsAppText(txtFile([
+      '03/04/2022, 10:00 - Alice: Hi',
+    ]))
+
+    expect(messages[0].timestamp).toEqual(new Date(2022, 3, 3, 10, 0, 0))
+  })
+})
+
+describe('useWhatsAppParser - Message Content', () => {
+  it('joins multi-line messages', async () => {
+    const { messages } = await parseWhatsAppText(txtFile([
+      '31/12/2021, 23:59 - Alice: First line',
+      'second line',
+      '',
+      'fourth line',
+      '01/01/2022, 00:01 - Bob: Reply',
+    ]))
+
+    expect(messages).toHaveLength(2)
+    expect(messages[0].content).toBe('First line\nsecond line\n\nfourth line')
+  })
+
+  it('maps media placeholders to types without content', async () => {
+    const { messages } = await parseWhatsAppText(txtFile([
+      '31/12/2021, 10:00 - Alice: <Media omitted>',
+      '[31/12/2021, 10:01:00] Bob: \u200Eimage omitted',
+      '[31/12/2021, 10:02:00] Bob: \u200Eaudio omitted',
+      '[31/12/2021, 10:03:00] Alice: \u200E<attached: 00000012-PHOTO-2021-12-31-10-03-00.jpg>',
+    ]))
+
+    expect(messages.map(m => m.type)).toEqual(['attachment', 'image', 'audio', 'image'])
+    expect(messages.every(m => m.content === '' && m.emojis.length === 0)).toBe(true)
+  })
+
+  it('classifies media and links', async () => {
+    const { messages, statistics } = await parseWhatsAppText(txtFile([
+      '[31/12/2021, 10:00:00] Bob: \u200Eimage omitted',
+      '[31/12/2021, 10:01:00] Bob: \u200Evideo omitted',
+      '[31/12/2021, 10:02:00] Alice: \u200Esticker omitted',
+      '[31/12/2021, 10:03:00] Alice: \u200E<attached: 00000013-AUDIO-2021-12-31-10-03-00.opus>',
+      '[31/12/2021, 10:04:00] Alice: haha https://www.instagram.com/reel/abc/',
+      '[31/12/2021, 10:05:00] Bob: https://www.youtube.com/watch?v=1',
+      '31/12/2021, 10:06 - Alice: <Media omitted>',
+    ]))
+
+    expect(messages.map(m => m.mediaKind ?? null)).toEqual(['photo', 'video', 'gif', 'voice', 'share', 'link', null])
+    expect(messages[4].type).toBe('text')
+    expect(messages[5].links).toEqual(['https://www.youtube.com/watch?v=1'])
+    expect(statistics.mediaByUser.Alice).toMatchObject({ gif: 1, voice: 1, share: 1, photo: 0 })
+    expect(statistics.linkDomains).toEqual([
+      { domain: 'instagram.com', count: 1 },
+      { domain: 'youtube.com', count: 1 },
+    ])
+  })
+
+  it('recognises calls and deleted messages', async () => {
+    const { messages } = await parseWhatsAppText(txtFile([
+      '[31/12/2021, 10:00:00] Alice: \u200EMissed voice call',
+      '[31/12/2021, 10:01:00] Bob: \u200EThis message was deleted.',
+    ]))
+
+    expect(messages.map(m => m.type)).toEqual(['call', 'deleted'])
+  })
+
+  it('reads call durations and missed calls', async () => {
+    const { messages } = await parseWhatsAppText(txtFile([
+      '[31/12/2021, 10:00:00] Alice: \u200EVoice call. \u200E12 min',
+      '[31/12/2021, 11:00:00] Bob: \u200EMissed video call. \u200ETap to call back',
+    ]))
+
+    expect(messages[0].call).toEqual({ event: 'ended', medium: 'audio', duration: 720 })
+    expect(messages[1].call).toEqual({ event: 'missed', medium: 'video', duration: 0 })
+  })
+
+  it('keeps texts that start like a call notice as texts', async () => {
+    const { messages } = await parseWhatsAppText(txtFile([
+      '31/12/2021, 10:00 - Alice: Video call me when you\'re up',
+      '31/12/2021, 10:01 - Bob: Voice call, 5 min?',
+      '31/12/2021, 10:02 - Bob: Video call, 1 hr 5 min',
+    ]))
+
+    expect(messages.map(m => m.type)).toEqual(['text', 'text', 'call'])
+    expect(messages[2].call.duration).toBe(3900)
+  })
+
+  it('strips the edited marker', async () => {
+    const { messages } = await parseWhatsAppText(txtFile([
+      '31/12/2021, 10:00 - Alice: Fixed typo <This message was edited>',
+    ]))
+
+    expect(messages[0].content).toBe('Fixed typo')
+  })
+
+  it('skips system lines', async () => {
+    const { messages, meta } = await parseWhatsAppText(txtFile([
+      '31/12/2021, 09:00 - Messages and calls are end-to-end encrypted. No one outside of this chat can read them.',
+      '[31/12/2021, 09:00:00] Alice: \u200EMessages and calls are end-to-end encrypted.',
+      '31/12/2021, 09:01 - Alice created group "Friends"',
+      '31/12/2021, 09:02 - Alice: Welcome',
+    ]))
+
+    expect(messages).toHaveLength(1)
+    expect(meta.participants).toEqual(['Alice'])
+  })
+})
+
+describe('useWhatsAppParser - Output', () => {
+  it('returns the same shape as the Instagram parsers', async () => {
+    const result = await parseWhatsAppText(txtFile([
+      '31/12/2021, 23:58 - Alice: ❤️',
+      '31/12/2021, 23:59 - Bob: ❤️❤️',
+    ]))
+
+    expect(Object.keys(result)).toEqual(['meta', 'messages', 'statistics'])
+    expect(result.meta.conversationTitle).toBe('Alice')
+    expect(result.meta.totalMessages).toBe(2)
+    expect(result.statistics.messageCountByUser).toEqual({ Alice: 1, Bob: 1 })
+    expect(result.statistics.topEmojis).toEqual([{ emoji: '❤️', count: 3 }])
+  })
+
+  it('falls back to participant names for the title', async () => {
+    const { meta } = await parseWhatsAppText(txtFile([
+      '31/12/2021, 23:58 - Alice: Hi',
+      '31/12/2021, 23:59 - Bob: Hey',
+    ], 'chat.txt'))
+
+    expect(meta.conversationTitle).toBe('Alice & Bob')
+  })
+
+  it('rejects files without any WhatsApp lines', async () => {
+    await expect(parseWhatsAppText(txtFile(['just some notes'], 'notes.txt')))
+      .rejects.toThrow('No WhatsApp messages found')
+  })
+})
@@ -1,29 +1,85 @@
 import { defineStore } from 'pinia'
 import { ref, computed } from 'vue'
+import { calculateStatistics } from '@/composables/useChatParser'
+import { useCompareStore } from '@/stores/compareStore'
+import { resolveDateRange, isInDateRange } from '@/utils/dateRange'
+import { createTimeZoneOption, isValidTimeZone } from '@/utils/timezone'
+import {
+  createParticipantSettings,
+  hasParticipantSettings,
+  resolveIdentity,
+  resolveParticipant,
+  getHomeTimeZones,
+  applyParticipantSettings
+} from '@/utils/participants'
+
+const PARTICIPANTS_STORAGE_PREFIX = 'our-chat-stats:participants:'
 
 export const useChatStore = defineStore('chat', () => {
   // State
   const parsedData = ref(null)
-  const rawFile = ref(null)
+  const rawFiles = ref([])
   const fileName = ref('')
   const parseError = ref(null)
+  const dateFilter = ref({ preset: 'all', start: null, end: null }) // preset: 'all', 'last30', 'last12Months', 'custom'
+  const participantSettings = ref(createParticipantSettings()) // { aliases, displayNames, excluded, timeZones }
+  const timeZone = ref('local') // 'local', 'sender' (each sender's home timezone) or an IANA timezone
 
   // Getters
   const hasData = computed(() => parsedData.value !== null)
 
   const meta = computed(() => parsedData.value?.meta || null)
 
-  const messages = computed(() => parsedData.value?.messages || [])
+  // Sender names exactly as they appear in the export
+  const rawParticipants = computed(() => meta.value?.participants || [])
+
+  // Identifies a conversation across sessions for remembered settings
+  const conversationKey = computed(() => {
+    if (!meta.value) return null
+    return `${meta.value.conversationTitle}|${[...rawParticipants.value].sort().join(',')}`
+  })
+
+  // Every message with merges, renames and exclusions applied
+  const allMessages = computed(() =>
+    applyParticipantSettings(parsedData.value?.messages || [], participantSettings.value)
+  )
+
+  const dateRange = computed(() => meta.value?.dateRange || null)
+
+  // Bounds of the global date filter, or null when showing everything
+  const activeDateRange = computed(() => resolveDateRange(dateFilter.value, dateRange.value, dateRangeTimeZone.value))
+
+  const isDateFiltered = computed(() => activeDateRange.value !== null)
+
+  // Messages inside the global date filter; every chart reads these
+  const messages = computed(() => {
+    const range = activeDateRange.value
+    if (!range) return allMessages.value
+    return allMessages.value.filter(message => isInDateRange(message.timestamp, range))
+  })
 
   const statistics = computed(() => parsedData.value?.statistics || null)
 
-  const participants = computed(() => meta.value?.participants || [])
+  const participants = computed(() => {
+    const names = rawParticipants.value
+      .map(name => resolveParticipant(name, participantSettings.value))
+      .filter(name => name !== null)
+    return [...new Set(names)]
+  })
 
-  const totalMessages = computed(() => meta.value?.totalMessages || 0)
+  const totalMessages = computed(() => messages.value.length)
 
-  const conversationTitle = computed(() => meta.value?.conversationTitle || '')
+  // Home timezone per participant as shown in statistics
+  const homeTimeZones = computed(() => getHomeTimeZones(rawParticipants.value, participantSettings.value))
 
-  const dateRange = computed(() => meta.value?.dateRange || null)
+  // The timeZone option every time-based transform receives
+  const timeZoneOption = computed(() => createTimeZoneOption(timeZone.value, homeTimeZones.value))
+
+  // Zone the date filter draws day boundaries in; per-sender zones share no
+  // calendar, so the filter falls back to the browser's zone for them
+  const dateRangeTimeZone = computed(() => (typeof timeZoneOption.value === 'string' ? timeZoneOption.value : null))
+
+  const conversationTitle = computed(() => meta.value?.conversationTitle || '')
 
   const messageCountByUser = computed(() => statistics.value?.messageCountByUser || {})
 
@@ -33,26 +89,195 @@ export const useChatStore = defineStore('chat', () => {
 
   const topEmojis = computed(() => statistics.value?.topEmojis || [])
 
+  const reactionsGivenByUser = computed(() => statistics.value?.reactionsGivenByUser || {})
+
+  const reactionsReceivedByUser = computed(() => statistics.value?.reactionsReceivedByUser || {})
+
+  const reactionsByReactor = computed(() => statistics.value?.reactionsByReactor || {})
+
+  const favoriteReactionByUser = computed(() => statistics.value?.favoriteReactionByUser || {})
+
+  const mostReactedMessages = computed(() => statistics.value?.mostReactedMessages || [])
+
+  const messageLengthByUser = computed(() => statistics.value?.messageLengthByUser || {})
+
+  const messageLengthByMonth = computed(() => statistics.value?.messageLengthByMonth || {})
+
+  const mediaByUser = computed(() => statistics.value?.mediaByUser || {})
+
+  const linkDomains = computed(() => statistics.value?.linkDomains || [])
+
+  const linkDomainsByUser = computed(() => statistics.value?.linkDomainsByUser || {})
+
   // Actions
   function setParsedData(data) {
+    // A comparison only makes sense against the chat it was picked for
+    useCompareStore().clearComparison()
     parsedData.value = data
     parseError.value = null
+    dateFilter.value = { preset: 'all', start: null, end: null }
+    participantSettings.value = loadParticipantSettings()
+
+    if (hasParticipantSettings(participantSettings.value) || timeZone.value !== 'local') {
+      refreshStatistics()
+    }
   }
 
-  function setRawFile(file) {
-    rawFile.value = file
-    fileName.value = file?.name || ''
+  function setRawFiles(files) {
+    rawFiles.value = files || []
+    fileName.value = rawFiles.value.map(file => file.name).join(', ')
   }
 
   function setParseError(error) {
     parseError.value = error
   }
 
-  function clearData() {
+  /**
+   * Close the conversation on screen
+   *
+   * Only the in-memory copy goes away. Conversations saved to the library and
+   * remembered participant settings stay on this device. The comparison is
+   * dropped along with it.
+   */
+  function closeChat() {
+    useCompareStore().clearComparison()
     parsedData.value = null
-    rawFile.value = null
+    rawFiles.value = []
     fileName.value = ''
     parseError.value = null
+    dateFilter.value = { preset: 'all', start: null, end: null }
+    participantSettings.value = createParticipantSettings()
+  }
+
+  /**
+   * Narrow the dashboard to a date range and recompute statistics for it
+   * @param {string} preset - 'all', 'last30', 'last12Months' or 'custom'
+   * @param {Object} bounds - { start: Date|null, end: Date|null } for 'custom'
+   */
+  function setDateFilter(preset, { start = null, end = null } = {}) {
+    dateFilter.value = { preset, start, end }
+    refreshStatistics()
+  }
+
+  /**
+   * Choose the timezone that hours, days, weeks and months are counted in
+   * @param {string} zone - 'local', 'sender' or an IANA timezone
+   */
+  function setTimeZone(zone) {
+    if (zone !== 'local' && zone !== 'sender' && !isValidTimeZone(zone)) return
+    timeZone.value = zone
+    refreshStatistics()
+  }
+
+  /**
+   * Set where a participant lives
+   * @param {string} name - Participant (after merging)
+   * @param {string} zone - IANA timezone, or empty to clear it
+   */
+  function setParticipantTimeZone(name, zone) {
+    const timeZones = { ...participantSettings.value.timeZones }
+    const trimmed = zone?.trim()
+
+    if (!trimmed) {
+      delete timeZones[name]
+    } else if (isValidTimeZone(trimmed)) {
+      timeZones[name] = trimmed
+    } else {
+      return
+    }
+
+    updateParticipantSettings({ timeZones })
+  }
+
+  /**
+   * Merge a sender name into another participant
+   * @param {string} name - Sender name to merge away
+   * @param {string|null} target - Participant to merge into, or null to undo
+   */
+  function mergeParticipant(name, target) {
+    const aliases = { ...participantSettings.value.aliases }
+
+    if (!target || target === name) {
+      delete aliases[name]
+    } else if (resolveIdentity(target, participantSettings.value) === name) {
+      return // Would create a cycle
+    } else {
+      aliases[name] = target
+    }
+
+    updateParticipantSettings({ aliases })
+  }
+
+  /**
+   * Set the name shown for a participant
+   * @param {string} name - Participant (after merging)
+   * @param {string} displayName - New name, or empty to use the original
+   */
+  function renameParticipant(name, displayName) {
+    const displayNames = { ...participantSettings.value.displayNames }
+    const trimmed = displayName?.trim()
+
+    if (!trimmed || trimmed === name) {
+      delete displayNames[name]
+    } else {
+      displayNames[name] = trimmed
+    }
+
+    updateParticipantSettings({ displayNames })
+  }
+
+  /**
+   * Leave a participant out of every statistic and chart
+   * @param {string} name - Participant (after merging)
+   * @param {boolean} excluded - Whether to exclude them
+   */
+  function setParticipantExcluded(name, excluded) {
+    const others = participantSettings.value.excluded.filter(excludedName => excludedName !== name)
+    updateParticipantSettings({ excluded: excluded ? [...others, name] : others })
+  }
+
+  function resetParticipants() {
+    participantSettings.value = createParticipantSettings()
+    saveParticipantSettings()
+    refreshStatistics()
+  }
+
+  function updateParticipantSettings(changes) {
+    participantSettings.value = { ...participantSettings.value, ...changes }
+    saveParticipantSettings()
+    refreshStatistics()
+  }
+
+  // Statistics always describe the messages currently on screen
+  function refreshStatistics() {
+    updateStatistics(calculateStatistics(messages.value, { timeZone: timeZoneOption.value }))
+  }
+
+  function saveParticipantSettings() {
+    if (!conversationKey.value) return
+    const key = PARTICIPANTS_STORAGE_PREFIX + conversationKey.value
+
+    try {
+      if (hasParticipantSettings(participantSettings.value)) {
+        localStorage.setItem(key, JSON.stringify(participantSettings.value))
+      } else {
+        localStorage.removeItem(key)
+      }
+    } catch (error) {
+      console.warn('Failed to save participant settings:', error)
+    }
+  }
+
+  function loadParticipantSettings() {
+    if (!conversationKey.value) return createParticipantSettings()
+
+    try {
+      const saved = localStorage.getItem(PARTICIPANTS_STORAGE_PREFIX + conversationKey.value)
+      return saved ? { ...createParticipantSettings(), ...JSON.parse(saved) } : createParticipantSettings()
+    } catch (error) {
+      console.warn('Failed to load participant settings:', error)
+      return createParticipantSettings()
+    }
   }
 
   function updateStatistics(newStats) {
@@ -67,29 +292,56 @@ export const useChatStore = defineStore('chat', () => {
   return {
     // State
     parsedData,
-    rawFile,
+    rawFiles,
     fileName,
     parseError,
+    dateFilter,
+    participantSettings,
+    timeZone,
 
     // Getters
     hasData,
     meta,
+    rawParticipants,
+    allMessages,
     messages,
+    activeDateRange,
+    isDateFiltered,
     statistics,
     participants,
     totalMessages,
+    homeTimeZones,
+    timeZoneOption,
+    dateRangeTimeZone,
     conversationTitle,
     dateRange,
     messageCountByUser,
     emojiCountByUser,
     totalEmojiCount,
     topEmojis,
+    reactionsGivenByUser,
+    reactionsReceivedByUser,
+    reactionsByReactor,
+    favoriteReactionByUser,
+    mostReactedMessages,
+    messageLengthByUser,
+    messageLengthByMonth,
+    mediaByUser,
+    linkDomains,
+    linkDomainsByUser,
 
     // Actions
     setParsedData,
-    setRawFile,
+    setRawFiles,
     setParseError,
-    clearData,
+    closeChat,
+    setDateFilter,
+    setTimeZone,
+    setParticipantTimeZone,
+    mergeParticipant,
+    renameParticipant,
+    setParticipantExcluded,
+    resetParticipants,
     updateStatistics
   }
 })
@@ -0,0 +1,213 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { createPinia, setActivePinia } from 'pinia'
+import { useChatStore } from './chatStore'
+import { useCompareStore } from './compareStore'
+import { buildParsedChat } from '@/composables/useChatParser'
+
+function message(sender, content, date, emojis = []) {
+  return { sender, content, timestamp: date, emojis, type: 'text' }
+}
+
+describe('chatStore - Date Filter', () => {
+  let chatStore
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    chatStore = useChatStore()
+    chatStore.setParsedData(buildParsedChat('Alice & Bob', [
+      message('Alice', 'Old news 😴', new Date(2023, 1, 1), ['😴']),
+      message('Bob', 'Happy new year 🎉', new Date(2024, 0, 1), ['🎉']),
+      message('Alice', 'Spring 🌸', new Date(2024, 2, 1), ['🌸']),
+      message('Alice', 'Latest 🌸', new Date(2024, 2, 20), ['🌸']),
+    ]))
+  })
+
+  it('shows everything by default', () => {
+    expect(chatStore.isDateFiltered).toBe(false)
+    expect(chatStore.messages).toHaveLength(4)
+    expect(chatStore.totalMessages).toBe(4)
+  })
+
+  it('filters messages and recomputes statistics for a preset', () => {
+    chatStore.setDateFilter('last12Months')
+
+    expect(chatStore.messages.map(m => m.content)).toEqual(['Happy new year 🎉', 'Spring 🌸', 'Latest 🌸'])
+    expect(chatStore.totalMessages).toBe(3)
+    expect(chatStore.allMessages).toHaveLength(4)
+    expect(chatStore.messageCountByUser).toEqual({ Bob: 1, Alice: 2 })
+    expect(chatStore.topEmojis[0]).toEqual({ emoji: '🌸', count: 2 })
+    expect(chatStore.topEmojis.map(e => e.emoji)).not.toContain('😴')
+  })
+
+  it('supports custom ranges and restores full statistics', () => {
+    chatStore.setDateFilter('custom', { start: new Date(2023, 0, 1), end: new Date(2023, 11, 31) })
+    expect(chatStore.messageCountByUser).toEqual({ Alice: 1 })
+
+    chatStore.setDateFilter('all')
+    expect(chatStore.messageCountByUser).toEqual({ Alice: 3, Bob: 1 })
+  })
+
+  it('resets the filter when new data is loaded', () => {
+    chatStore.setDateFilter('last30')
+    chatStore.setParsedData(buildParsedChat('Other', [message('Carol', 'Hi', new Date(2020, 0, 1))]))
+
+    expect(chatStore.dateFilter.preset).toBe('all')
+    expect(chatStore.messages).toHaveLength(1)
+  })
+})
+
+describe('chatStore - Participants', () => {
+  let chatStore
+
+  const chat = () => buildParsedChat('Alice & Bob', [
+    message('Alice', 'Hi 👋', new Date(2024, 0, 1), ['👋']),
+    message('Instagram User', 'From my old account', new Date(2024, 0, 2)),
+    message('Bob', 'Hey', new Date(2024, 0, 3)),
+  ])
+
+  beforeEach(() => {
+    localStorage.clear()
+    setActivePinia(createPinia())
+    chatStore = useChatStore()
+    chatStore.setParsedData(chat())
+  })
+
+  it('merges, renames and excludes across messages and statistics', () => {
+    chatStore.mergeParticipant('Instagram User', 'Alice')
+    chatStore.renameParticipant('Alice', 'Ali')
+
+    expect(chatStore.participants).toEqual(['Ali', 'Bob'])
+    expect(chatStore.messageCountByUser).toEqual({ Ali: 2, Bob: 1 })
+
+    chatStore.setParticipantExcluded('Bob', true)
+
+    expect(chatStore.participants).toEqual(['Ali'])
+    expect(chatStore.messages.every(m => m.sender === 'Ali')).toBe(true)
+    expect(chatStore.messageCountByUser).toEqual({ Ali: 2 })
+  })
+
+  it('refuses merges that would form a cycle', () => {
+    chatStore.mergeParticipant('Instagram User', 'Alice')
+    chatStore.mergeParticipant('Alice', 'Instagram User')
+
+    expect(chatStore.participantSettings.aliases).toEqual({ 'Instagram User': 'Alice' })
+  })
+
+  it('remembers settings for the same conversation', () => {
+    chatStore.mergeParticipant('Instagram User', 'Alice')
+
+    setActivePinia(createPinia())
+    const reloaded = useChatStore()
+    reloaded.setParsedData(chat())
+
+    expect(reloaded.participants).toEqual(['Alice', 'Bob'])
+    expect(reloaded.messageCountByUser).toEqual({ Alice: 2, Bob: 1 })
+
+    reloaded.setParsedData(buildParsedChat('Someone else', [message('Instagram User', 'Hi', new Date(2024, 0, 1))]))
+    expect(reloaded.participants).toEqual(['Instagram User'])
+  })
+
+  it('resets to the names in the export', () => {
+    chatStore.renameParticipant('Bob', 'Robert')
+    chatStore.resetParticipants()
+
+    expect(chatStore.participants).toEqual(['Alice', 'Instagram User', 'Bob'])
+    expect(localStorage.length).toBe(0)
+  })
+})
+
+describe('chatStore - Time Zone', () => {
+  let chatStore
+
+  beforeEach(() => {
+    localStorage.clear()
+    setActivePinia(createPinia())
+    chatStore = useChatStore()
+    chatStore.setParsedData(buildParsedChat('Alice & Bob', [
+      message('Alice', 'Happy new year!', new Date(Date.UTC(2025, 0, 1, 2))),
+      message('Bob', 'You too', new Date(Date.UTC(2025, 0, 1, 3))),
+    ]))
+  })
+
+  it('uses the browser zone by default', () => {
+    expect(chatStore.timeZone).toBe('local')
+    expect(chatStore.timeZoneOption).toBeNull()
+  })
+
+  it('recomputes month statistics in the selected zone', () => {
+    chatStore.setTimeZone('America/New_York')
+
+    expect(chatStore.timeZoneOption).toBe('America/New_York')
+    expect(Object.keys(chatStore.messageLengthByMonth)).toEqual(['2024-12'])
+  })
+
+  it('draws date filter days in the selected zone', () => {
+    chatStore.setTimeZone('America/New_York')
+    chatStore.setDateFilter('custom', {
+      start: new Date(Date.UTC(2024, 11, 31, 12)),
+      end: new Date(Date.UTC(2024, 11, 31, 12)),
+    })
+
+    // Both messages were sent on New Year's Eve in New York
+    expect(chatStore.messages).toHaveLength(2)
+
+    chatStore.setTimeZone('Asia/Tokyo')
+    expect(chatStore.messages).toHaveLength(0)
+  })
+
+  it('ignores unknown zones', () => {
+    chatStore.setTimeZone('Nowhere/Special')
+    expect(chatStore.timeZone).toBe('local')
+  })
+
+  it('reads messages in each sender\'s home timezone', () => {
+    chatStore.setParticipantTimeZone('Alice', 'America/New_York')
+    chatStore.setParticipantTimeZone('Bob', 'Asia/Tokyo')
+    chatStore.renameParticipant('Bob', 'Robert')
+    chatStore.setTimeZone('sender')
+
+    expect(chatStore.homeTimeZones).toEqual({ Alice: 'America/New_York', Robert: 'Asia/Tokyo' })
+    expect(chatStore.timeZoneOption('Robert')).toBe('Asia/Tokyo')
+    expect(chatStore.messageLengthByMonth['2024-12']).toHaveProperty('Alice')
+    expect(chatStore.messageLengthByMonth['2025-01']).toHaveProperty('Robert')
+  })
+
+  it('remembers home timezones for the conversation', () => {
+    chatStore.setParticipantTimeZone('Alice', 'Europe/Berlin')
+    chatStore.setParticipantTimeZone('Bob', 'not a zone')
+
+    setActivePinia(createPinia())
+    const reloaded = useChatStore()
+    reloaded.setParsedData(chatStore.parsedData)
+
+    expect(reloaded.homeTimeZones).toEqual({ Alice: 'Europe/Berlin' })
+  })
+})
+
+describe('chatStore - Comparison', () => {
+  let chatStore
+  let compareStore
+
+  const chat = title => buildParsedChat(title, [message('Alice', 'Hi', new Date(2024, 0, 1))])
+
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    chatStore = useChatStore()
+    compareStore = useCompareStore()
+    chatStore.setParsedData(chat('Alice & Bob'))
+    compareStore.setComparison(chat('Alice & Carol'))
+  })
+
+  it('drops the comparison when the chat is closed', () => {
+    chatStore.closeChat()
+
+    expect(compareStore.hasComparison).toBe(false)
+  })
+
+  it('drops the comparison when another chat is opened', () => {
+    chatStore.setParsedData(chat('Alice & Dave'))
+
+    expect(compareStore.hasComparison).toBe(false)
+    expect(chatStore.conversationTitle).toBe('Alice & Dave')
+  })
+})
@@ -0,0 +1,43 @@
+import { defineStore } from 'pinia'
+import { ref, computed } from 'vue'
+
+/**
+ * Second conversation for the comparison view
+ *
+ * The main conversation stays in chatStore with its filters and participant
+ * settings; this one is shown as parsed.
+ */
+export const useCompareStore = defineStore('compare', () => {
+  // State
+  const parsedData = ref(null)
+
+  // Getters
+  const hasComparison = computed(() => parsedData.value !== null)
+
+  const conversationTitle = computed(() => parsedData.value?.meta?.conversationTitle || '')
+
+  const messages = computed(() => parsedData.value?.messages || [])
+
+  // Actions
+  function setComparison(data) {
+    parsedData.value = data
+  }
+
+  function clearComparison() {
+    parsedData.value = null
+  }
+
+  return {
+    // State
+    parsedData,
+
+    // Getters
+    hasComparison,
+    conversationTitle,
+    messages,
+
+    // Actions
+    setComparison,
+    clearComparison
+  }
+})
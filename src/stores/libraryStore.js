@@ -0,0 +1,105 @@
+import { defineStore } from 'pinia'
+import { ref, computed, toRaw } from 'vue'
+import {
+  isLibraryAvailable,
+  getConversationId,
+  listConversations,
+  saveConversation,
+  loadConversation,
+  deleteConversation
+} from '@/utils/chatLibrary'
+
+export const useLibraryStore = defineStore('library', () => {
+  // State
+  const entries = ref([]) // Saved conversations, most recent first
+  const isAvailable = ref(isLibraryAvailable())
+  const error = ref(null)
+
+  // Getters
+  const hasEntries = computed(() => entries.value.length > 0)
+
+  const savedIds = computed(() => new Set(entries.value.map(entry => entry.id)))
+
+  // Actions
+  async function refresh() {
+    if (!isAvailable.value) return
+
+    try {
+      entries.value = await listConversations()
+      error.value = null
+    } catch (err) {
+      console.warn('Failed to read saved conversations:', err)
+      error.value = 'Saved conversations could not be read.'
+    }
+  }
+
+  /**
+   * Check whether a conversation is already in the library
+   * @param {Object} meta - Parsed chat meta
+   * @returns {boolean}
+   */
+  function isSaved(meta) {
+    return meta ? savedIds.value.has(getConversationId(meta)) : false
+  }
+
+  /**
+   * Save the conversation as parsed
+   * @param {Object} parsedData - { meta, messages } from the parser
+   * @param {Object} options - { size } bytes of the original export, if known
+   */
+  async function save(parsedData, options = {}) {
+    // IndexedDB can't clone Vue's reactive proxies
+    const raw = toRaw(parsedData)
+    const meta = toRaw(raw.meta)
+
+    // Reopened conversations have no files; keep the size recorded on first save
+    const id = getConversationId(meta)
+    const size = options.size ?? entries.value.find(entry => entry.id === id)?.size ?? null
+
+    try {
+      await saveConversation({ meta, messages: toRaw(raw.messages) }, { size })
+      error.value = null
+      await refresh()
+    } catch (err) {
+      console.warn('Failed to save conversation:', err)
+      error.value = 'The conversation could not be saved. The browser may be out of storage space.'
+    }
+  }
+
+  /**
+   * Open a saved conversation
+   * @param {string} id - Library id
+   * @returns {Promise<Object>} Parsed chat data
+   */
+  async function open(id) {
+    return loadConversation(id)
+  }
+
+  async function remove(id) {
+    try {
+      await deleteConversation(id)
+      error.value = null
+      await refresh()
+    } catch (err) {
+      console.warn('Failed to delete conversation:', err)
+      error.value = 'The conversation could not be deleted.'
+    }
+  }
+
+  return {
+    // State
+    entries,
+    isAvailable,
+    error,
+
+    // Getters
+    hasEntries,
+
+    // Actions
+    refresh,
+    isSaved,
+    save,
+    open,
+    remove
+  }
+})
@@ -1,23 +1,38 @@
 import { defineStore } from 'pinia'
 import { ref, computed } from 'vue'
+import { DEFAULT_AFFECTION_TERMS, normalizeTerm } from '@/utils/sentiment'
 
 export const useUiStore = defineStore('ui', () => {
   // State
   const isLoading = ref(false)
   const loadingMessage = ref('')
-  const currentView = ref('overview') // 'overview', 'charts', 'timeline', 'details'
+  const loadingProgress = ref(null) // { stage, bytesRead, totalBytes, messagesFound, percent }
+  const currentView = ref('overview') // 'overview', 'timeline', 'activity', 'emojis', 'reactions', 'replies', 'conversations', 'words', 'length', 'media', 'tone', 'compare', 'messages', 'participants'
   const selectedChartType = ref('bar') // 'bar', 'pie', 'line', 'doughnut'
   const ignoredEmojis = ref(new Set())
+  const ignoredWords = ref(new Set())
+  const affectionTerms = ref(new Set(DEFAULT_AFFECTION_TERMS)) // Words, phrases and emojis counted as affection
+  const replyGapThresholdHours = ref(12) // Gaps longer than this don't count as replies
+  const sessionGapMinutes = ref(60) // Silence longer than this starts a new conversation
+  const doubleTextHours = ref(4) // Following up after this long without a reply is a double text
+  const timestampLocale = ref('auto') // Language of export timestamps: 'auto' or a TIMESTAMP_LOCALES id
 
   // Getters
   const hasIgnoredEmojis = computed(() => ignoredEmojis.value.size > 0)
 
   const ignoredEmojisArray = computed(() => Array.from(ignoredEmojis.value))
 
+  const hasIgnoredWords = computed(() => ignoredWords.value.size > 0)
+
+  const ignoredWordsArray = computed(() => Array.from(ignoredWords.value))
+
+  const affectionTermsArray = computed(() => Array.from(affectionTerms.value))
+
   // Actions
-  function setLoading(loading, message = '') {
+  function setLoading(loading, message = '', progress = null) {
     isLoading.value = loading
     loadingMessage.value = message
+    loadingProgress.value = loading ? progress : null
   }
 
   function setView(view) {
@@ -28,6 +43,28 @@ export const useUiStore = defineStore('ui', () => {
     selectedChartType.value = chartType
   }
 
+  function setReplyGapThreshold(hours) {
+    if (Number.isFinite(hours) && hours > 0) {
+      replyGapThresholdHours.value = hours
+    }
+  }
+
+  function setSessionGap(minutes) {
+    if (Number.isFinite(minutes) && minutes > 0) {
+      sessionGapMinutes.value = minutes
+    }
+  }
+
+  function setDoubleTextHours(hours) {
+    if (Number.isFinite(hours) && hours > 0) {
+      doubleTextHours.value = hours
+    }
+  }
+
+  function setTimestampLocale(locale) {
+    timestampLocale.value = locale || 'auto'
+  }
+
   function toggleIgnoreEmoji(emoji) {
     if (ignoredEmojis.value.has(emoji)) {
       ignoredEmojis.value.delete(emoji)
@@ -46,24 +83,80 @@ export const useUiStore = defineStore('ui', () => {
     return ignoredEmojis.value.has(emoji)
   }
 
+  function toggleIgnoreWord(word) {
+    if (ignoredWords.value.has(word)) {
+      ignoredWords.value.delete(word)
+    } else {
+      ignoredWords.value.add(word)
+    }
+    // Trigger reactivity by creating new Set
+    ignoredWords.value = new Set(ignoredWords.value)
+  }
+
+  function clearIgnoredWords() {
+    ignoredWords.value = new Set()
+  }
+
+  function isWordIgnored(word) {
+    return ignoredWords.value.has(word)
+  }
+
+  function addAffectionTerm(term) {
+    const trimmed = (term || '').trim()
+    // "❤" and "❤️" are the same term
+    const isKnown = Array.from(affectionTerms.value).some(existing => normalizeTerm(existing) === normalizeTerm(trimmed))
+    if (!trimmed || isKnown) return
+    affectionTerms.value = new Set([...affectionTerms.value, trimmed])
+  }
+
+  function removeAffectionTerm(term) {
+    const remaining = new Set(affectionTerms.value)
+    remaining.delete(term)
+    affectionTerms.value = remaining
+  }
+
+  function resetAffectionTerms() {
+    affectionTerms.value = new Set(DEFAULT_AFFECTION_TERMS)
+  }
+
   return {
     // State
     isLoading,
     loadingMessage,
+    loadingProgress,
     currentView,
     selectedChartType,
     ignoredEmojis,
+    ignoredWords,
+    affectionTerms,
+    replyGapThresholdHours,
+    sessionGapMinutes,
+    doubleTextHours,
+    timestampLocale,
 
     // Getters
     hasIgnoredEmojis,
     ignoredEmojisArray,
+    hasIgnoredWords,
+    ignoredWordsArray,
+    affectionTermsArray,
 
     // Actions
     setLoading,
     setView,
     setChartType,
+    setReplyGapThreshold,
+    setSessionGap,
+    setDoubleTextHours,
+    setTimestampLocale,
     toggleIgnoreEmoji,
     clearIgnoredEmojis,
-    isEmojiIgnored
+    isEmojiIgnored,
+    toggleIgnoreWord,
+    clearIgnoredWords,
+    isWordIgnored,
+    addAffectionTerm,
+    removeAffectionTerm,
+    resetAffectionTerms
   }
 })
@@ -0,0 +1,100 @@
+/**
+ * Call notice parsing
+ *
+ * Exports log calls as messages:
+ * - Instagram: "Alice started an audio call", "Audio call ended", "Missed video call"
+ *   (JSON exports add call_duration in seconds)
+ * - WhatsApp: "Voice call. 12 min", "Video call, 1 hr 5 min", "Missed voice call"
+ *
+ * Parsers attach the result as `message.call`:
+ * { event: 'started'|'ended'|'missed', medium: 'audio'|'video', duration: seconds|null }
+ */
+
+// Instagram's notices, matched whole so texts like "Video call tonight?" stay texts
+const STARTED_NOTICE = /^(.+) started an? (audio|video) (call|chat)$/
+const CALL_NOTICE_PATTERNS = [
+  /^(Audio|Video) (call|chat) ended$/,
+  /^Missed (audio|video) (call|chat)$/,
+]
+
+const MISSED_PATTERN = /\bmissed\b|\bno answer\b|\bdeclined\b|\bunanswered\b/i
+
+const STARTED_PATTERN = /\bstarted an? (audio|voice|video)\b/i
+
+const CLOCK_DURATION = /\b(\d{1,2}):(\d{2})(?::(\d{2}))?\b/
+
+const UNIT_DURATIONS = [
+  { pattern: /(\d+)\s*(?:hours?|hrs?|h)\b/i, seconds: 3600 },
+  { pattern: /(\d+)\s*(?:minutes?|mins?|m)\b/i, seconds: 60 },
+  { pattern: /(\d+)\s*(?:seconds?|secs?|s)\b/i, seconds: 1 },
+]
+
+/**
+ * Check whether Instagram message content is a call notice
+ * (WhatsApp notices are recognised by their system marker in its parser)
+ * @param {string} content - Message content
+ * @param {string|null} sender - Message sender; "<sender> started ..." must name them
+ * @returns {boolean}
+ */
+export function isCallNotice(content, sender = null) {
+  const text = (content || '').trim()
+  const started = text.match(STARTED_NOTICE)
+  if (started) {
+    return sender === null || started[1] === sender.trim()
+  }
+  return CALL_NOTICE_PATTERNS.some(pattern => pattern.test(text))
+}
+
+/**
+ * Read the details of a call notice
+ * @param {string} content - Message content
+ * @param {number|null} duration - Duration in seconds if the export gives it separately
+ * @returns {Object} { event, medium, duration }
+ */
+export function parseCall(content, duration = null) {
+  const text = (content || '').trim()
+
+  let event = 'ended'
+  if (MISSED_PATTERN.test(text)) {
+    event = 'missed'
+  } else if (STARTED_PATTERN.test(text)) {
+    event = 'started'
+  }
+
+  const seconds = event === 'missed' ? 0 : (Number.isFinite(duration) ? duration : parseDuration(text))
+
+  // A call that "ended" after 0 seconds was never picked up
+  if (event === 'ended' && seconds === 0) {
+    event = 'missed'
+  }
+
+  return {
+    event,
+    medium: /\bvideo\b/i.test(text) ? 'video' : 'audio',
+    duration: seconds,
+  }
+}
+
+/**
+ * Read a call duration written out in text
+ * @param {string} text - e.g. "1:02:03", "12:34", "1 hr 5 min", "45 sec"
+ * @returns {number|null} Seconds, or null if the text has no duration
+ */
+export function parseDuration(text) {
+  const clock = text.match(CLOCK_DURATION)
+  if (clock) {
+    const [, first, second, third] = clock.map(Number)
+    return clock[3] !== undefined
+      ? first * 3600 + second * 60 + third
+      : first * 60 + second
+  }
+
+  let seconds = null
+  for (const { pattern, seconds: unit } of UNIT_DURATIONS) {
+    const match = text.match(pattern)
+    if (match) {
+      seconds = (seconds || 0) + Number(match[1]) * unit
+    }
+  }
+  return seconds
+}
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest'
+import { isCallNotice, parseCall, parseDuration } from './callParser'
+
+describe('callParser - Notices', () => {
+  it('recognises Instagram call notices', () => {
+    expect(isCallNotice('Audio call ended')).toBe(true)
+    expect(isCallNotice('Video chat ended')).toBe(true)
+    expect(isCallNotice('Alice started an audio call', 'Alice')).toBe(true)
+    expect(isCallNotice('Missed video call')).toBe(true)
+  })
+
+  it('ignores ordinary messages about calls', () => {
+    expect(isCallNotice('can we do a video call later?')).toBe(false)
+    expect(isCallNotice('Video call tonight?')).toBe(false)
+    expect(isCallNotice('Voice chat later?')).toBe(false)
+    expect(isCallNotice('I missed a video call from mom')).toBe(false)
+    expect(isCallNotice('we ended a video call early')).toBe(false)
+    expect(isCallNotice('Missed video call from mom, calling her back')).toBe(false)
+    expect(isCallNotice('Bob started a video call', 'Alice')).toBe(false)
+    expect(isCallNotice('')).toBe(false)
+    expect(isCallNotice(null)).toBe(false)
+  })
+})
+
+describe('callParser - Details', () => {
+  it('tells started, ended and missed calls apart', () => {
+    expect(parseCall('Alice started a video call')).toEqual({ event: 'started', medium: 'video', duration: null })
+    expect(parseCall('Audio call ended', 754)).toEqual({ event: 'ended', medium: 'audio', duration: 754 })
+    expect(parseCall('Missed voice call. Tap to call back')).toEqual({ event: 'missed', medium: 'audio', duration: 0 })
+    expect(parseCall('Voice call, No answer').event).toBe('missed')
+  })
+
+  it('treats a call that ended after 0 seconds as missed', () => {
+    expect(parseCall('Audio call ended', 0).event).toBe('missed')
+  })
+
+  it('reads durations from the text when none is given', () => {
+    expect(parseCall('Video call, 1 hr 5 min').duration).toBe(3900)
+    expect(parseCall('Audio call ended • 12:34').duration).toBe(754)
+  })
+
+  it('parses clock and unit durations', () => {
+    expect(parseDuration('1:02:03')).toBe(3723)
+    expect(parseDuration('45 sec')).toBe(45)
+    expect(parseDuration('2 minutes 30 seconds')).toBe(150)
+    expect(parseDuration('Voice call')).toBeNull()
+  })
+})
@@ -1,8 +1,15 @@
 /**
  * Pure functions to transform chat data into Chart.js-compatible formats
  * All functions are pure - no side effects, same input always produces same output
+ *
+ * Time-based transforms accept a `timeZone` option: an IANA timezone, a
+ * function mapping a sender to one, or null for the browser's zone.
  */
 
+import { getZonedParts } from './timezone'
+import { MEDIA_KINDS } from './mediaClassifier'
+import { scoreMessage } from './sentiment'
+
 /**
  * Transform message count by user into chart data
  * @param {Object} messageCountByUser - { username: count }
@@ -70,13 +77,142 @@ export function transformEmojiByUser(emojiCountByUser, topEmojis = []) {
   return { labels, datasets }
 }
 
+/**
+ * Transform reaction counts into given vs. received chart data
+ * @param {Object} reactionsGivenByUser - { username: count }
+ * @param {Object} reactionsReceivedByUser - { username: count }
+ * @returns {Object} { labels: string[], given: number[], received: number[] }
+ */
+export function transformReactionsByUser(reactionsGivenByUser, reactionsReceivedByUser) {
+  const users = new Set([
+    ...Object.keys(reactionsGivenByUser || {}),
+    ...Object.keys(reactionsReceivedByUser || {}),
+  ])
+
+  if (users.size === 0) {
+    return { labels: [], given: [], received: [] }
+  }
+
+  const labels = Array.from(users)
+  const given = labels.map(user => reactionsGivenByUser?.[user] || 0)
+  const received = labels.map(user => reactionsReceivedByUser?.[user] || 0)
+
+  return { labels, given, received }
+}
+
+/**
+ * Transform message length statistics into average and median per user
+ * @param {Object} messageLengthByUser - { username: { averageWords, medianWords, averageCharacters, ... } }
+ * @param {string} metric - 'words' or 'characters'
+ * @returns {Object} { labels: string[], average: number[], median: number[] }
+ */
+export function transformMessageLengthByUser(messageLengthByUser, metric = 'words') {
+  if (!messageLengthByUser || Object.keys(messageLengthByUser).length === 0) {
+    return { labels: [], average: [], median: [] }
+  }
+
+  const suffix = metric === 'characters' ? 'Characters' : 'Words'
+  const entries = Object.entries(messageLengthByUser)
+
+  return {
+    labels: entries.map(([username]) => username),
+    average: entries.map(([, stats]) => Math.round(stats[`average${suffix}`] * 10) / 10),
+    median: entries.map(([, stats]) => stats[`median${suffix}`]),
+  }
+}
+
+/**
+ * Transform message length buckets into a per-user histogram
+ *
+ * Counts are shares of each user's written messages (0–100), so people who
+ * write a lot don't dwarf everyone else.
+ *
+ * @param {Object} messageLengthByUser - { username: { messages, lengthBuckets: { label: count } } }
+ * @returns {Object} { labels: string[], datasets: [{ username, data: number[] }] }
+ */
+export function transformMessageLengthHistogram(messageLengthByUser) {
+  const entries = Object.entries(messageLengthByUser || {})
+
+  if (entries.length === 0) {
+    return { labels: [], datasets: [] }
+  }
+
+  const labels = Object.keys(entries[0][1].lengthBuckets)
+  const datasets = entries.map(([username, { messages, lengthBuckets }]) => ({
+    username,
+    data: labels.map(label => (messages > 0 ? Math.round((lengthBuckets[label] / messages) * 1000) / 10 : 0)),
+  }))
+
+  return { labels, datasets }
+}
+
+/**
+ * Transform monthly length totals into average length per user over time
+ * @param {Object} messageLengthByMonth - { 'YYYY-MM': { username: { messages, words, characters } } }
+ * @param {string} metric - 'words' or 'characters'
+ * @returns {Object} { labels: string[], datasets: [{ username, data: (number|null)[] }] }
+ */
+export function transformMessageLengthOverTime(messageLengthByMonth, metric = 'words') {
+  const months = Object.keys(messageLengthByMonth || {}).sort()
+
+  if (months.length === 0) {
+    return { labels: [], datasets: [] }
+  }
+
+  const usernames = Array.from(new Set(months.flatMap(month => Object.keys(messageLengthByMonth[month]))))
+  const datasets = usernames.map(username => ({
+    username,
+    // null leaves a gap for months the user didn't write in
+    data: months.map(month => {
+      const totals = messageLengthByMonth[month][username]
+      return totals ? Math.round((totals[metric] / totals.messages) * 10) / 10 : null
+    }),
+  }))
+
+  return { labels: months, datasets }
+}
+
+/**
+ * Transform per-user media counts into grouped bar data
+ *
+ * With metric 'percent', each value is that kind's share of the person's own
+ * media, so someone who sends a lot of everything doesn't hide what they
+ * favour.
+ *
+ * @param {Object} mediaByUser - { username: { [kind]: count } }
+ * @param {string} metric - 'count' or 'percent'
+ * @returns {Object} { labels: string[], datasets: Array<{username, data}> }
+ */
+export function transformMediaByUser(mediaByUser, metric = 'count') {
+  if (!mediaByUser || Object.keys(mediaByUser).length === 0) {
+    return { labels: [], datasets: [] }
+  }
+
+  const labels = MEDIA_KINDS.map(kind => kind.label)
+
+  const datasets = Object.entries(mediaByUser).map(([username, counts]) => {
+    const values = MEDIA_KINDS.map(kind => counts[kind.id] || 0)
+    const total = values.reduce((sum, count) => sum + count, 0)
+
+    return {
+      username,
+      data: metric === 'percent'
+        ? values.map(count => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0))
+        : values,
+    }
+  })
+
+  return { labels, datasets }
+}
+
 /**
  * Transform messages into timeline data (messages over time)
  * @param {Array} messages - Array of message objects with timestamps
  * @param {string} groupBy - 'hour', 'day', 'week', 'month'
+ * @param {Object} options - { timeZone }
  * @returns {Object} { labels: string[], data: number[] }
  */
-export function transformMessagesTimeline(messages, groupBy = 'day') {
+export function transformMessagesTimeline(messages, groupBy = 'day', { timeZone = null } = {}) {
   if (!messages || messages.length === 0) {
     return { labels: [], data: [] }
   }
@@ -86,24 +222,24 @@ export function transformMessagesTimeline(messages, groupBy = 'day') {
   messages.forEach(message => {
     if (!message.timestamp) return
 
-    const date = new Date(message.timestamp)
+    const parts = getMessageParts(message, timeZone)
     let key
 
     switch (groupBy) {
       case 'hour':
-        key = `${date.getFullYear()}-${padZero(date.getMonth() + 1)}-${padZero(date.getDate())} ${padZero(date.getHours())}:00`
+        key = `${getDayKey(parts)} ${padZero(parts.hour)}:00`
         break
       case 'day':
-        key = `${date.getFullYear()}-${padZero(date.getMonth() + 1)}-${padZero(date.getDate())}`
+        key = getDayKey(parts)
         break
       case 'week':
-        key = getWeekKey(date)
+        key = getWeekKey(parts)
         break
       case 'month':
-        key = `${date.getFullYear()}-${padZero(date.getMonth() + 1)}`
+        key = `${parts.year}-${padZero(parts.month)}`
         break
       default:
-        key = `${date.getFullYear()}-${padZero(date.getMonth() + 1)}-${padZero(date.getDate())}`
+        key = getDayKey(parts)
     }
 
     groupedData.set(key, (groupedData.get(key) || 0) + 1)
@@ -123,9 +259,10 @@ export function transformMessagesTimeline(messages, groupBy = 'day') {
 /**
  * Transform messages into activity by day of week
  * @param {Array} messages - Array of message objects with timestamps
+ * @param {Object} options - { timeZone }
  * @returns {Object} { labels: string[], data: number[] }
  */
-export function transformActivityByDayOfWeek(messages) {
+export function transformActivityByDayOfWeek(messages, { timeZone = null } = {}) {
   if (!messages || messages.length === 0) {
     return { labels: [], data: [] }
   }
@@ -135,8 +272,7 @@ export function transformActivityByDayOfWeek(messages) {
 
   messages.forEach(message => {
     if (!message.timestamp) return
-    const date = new Date(message.timestamp)
-    const dayIndex = date.getDay()
+    const dayIndex = getMessageParts(message, timeZone).weekday
     counts[dayIndex]++
   })
 
@@ -146,9 +282,10 @@ export function transformActivityByDayOfWeek(messages) {
 /**
  * Transform messages into activity by hour of day
  * @param {Array} messages - Array of message objects with timestamps
+ * @param {Object} options - { timeZone }
  * @returns {Object} { labels: string[], data: number[] }
  */
-export function transformActivityByHourOfDay(messages) {
+export function transformActivityByHourOfDay(messages, { timeZone = null } = {}) {
   if (!messages || messages.length === 0) {
     return { labels: [], data: [] }
   }
@@ -158,21 +295,88 @@ export function transformActivityByHourOfDay(messages) {
 
   messages.forEach(message => {
     if (!message.timestamp) return
-    const date = new Date(message.timestamp)
-    const hour = date.getHours()
+    const hour = getMessageParts(message, timeZone).hour
     counts[hour]++
   })
 
   return { labels: hours, data: counts }
 }
 
+/**
+ * Row and column labels for the day × hour heatmap
+ */
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+const HOUR_LABELS = Array.from({ length: 24 }, (_, hour) => `${padZero(hour)}:00`)
+
+/**
+ * Transform messages into a day-of-week × hour-of-day grid
+ * @param {Array} messages - Array of message objects with timestamps
+ * @param {Object} options - { sender: string } to count only one participant, { timeZone }
+ * @returns {Object} { days: string[], hours: string[], data: number[7][24], max: number }
+ */
+export function transformDayHourHeatmap(messages, { sender = null, timeZone = null } = {}) {
+  const data = Array.from({ length: 7 }, () => new Array(24).fill(0))
+
+  for (const message of messages || []) {
+    if (!isValidDate(message.timestamp)) continue
+    if (sender && message.sender !== sender) continue
+
+    const { weekday, hour } = getMessageParts(message, timeZone)
+    data[weekday][hour]++
+  }
+
+  return {
+    days: DAY_NAMES,
+    hours: HOUR_LABELS,
+    data,
+    max: Math.max(...data.flat()),
+  }
+}
+
+/**
+ * Compare when two participants are active
+ *
+ * Each cell is the share of A's messages sent in that slot minus B's share,
+ * in percentage points. Positive cells are A's time, negative cells B's, so
+ * someone who simply writes more doesn't dominate the map.
+ *
+ * @param {Array} messages - Array of message objects with timestamps
+ * @param {string} senderA - First participant
+ * @param {string} senderB - Second participant
+ * @param {Object} options - { timeZone }
+ * @returns {Object} { days: string[], hours: string[], data: number[7][24], maxAbs: number }
+ */
+export function transformDayHourDifference(messages, senderA, senderB, { timeZone = null } = {}) {
+  const a = transformDayHourHeatmap(messages, { sender: senderA, timeZone }).data
+  const b = transformDayHourHeatmap(messages, { sender: senderB, timeZone }).data
+  const totalA = a.flat().reduce((sum, count) => sum + count, 0)
+  const totalB = b.flat().reduce((sum, count) => sum + count, 0)
+
+  const data = a.map((row, day) =>
+    row.map((countA, hour) => {
+      const shareA = totalA > 0 ? countA / totalA : 0
+      const shareB = totalB > 0 ? b[day][hour] / totalB : 0
+      return Math.round((shareA - shareB) * 10000) / 100
+    })
+  )
+
+  return {
+    days: DAY_NAMES,
+    hours: HOUR_LABELS,
+    data,
+    maxAbs: Math.max(...data.flat().map(Math.abs)),
+  }
+}
+
 /**
  * Transform messages into activity by user over time
  * @param {Array} messages - Array of message objects with timestamps and senders
  * @param {string} groupBy - 'day', 'week', 'month'
+ * @param {Object} options - { timeZone }
  * @returns {Object} { labels: string[], datasets: Array<{username, data}> }
  */
-export function transformActivityByUserOverTime(messages, groupBy = 'day') {
+export function transformActivityByUserOverTime(messages, groupBy = 'day', { timeZone = null } = {}) {
   if (!messages || messages.length === 0) {
     return { labels: [], datasets: [] }
   }
@@ -183,21 +387,21 @@ export function transformActivityByUserOverTime(messages, groupBy = 'day') {
   messages.forEach(message => {
     if (!message.timestamp || !message.sender) return
 
-    const date = new Date(message.timestamp)
+    const parts = getMessageParts(message, timeZone)
     let key
 
     switch (groupBy) {
       case 'day':
-        key = `${date.getFullYear()}-${padZero(date.getMonth() + 1)}-${padZero(date.getDate())}`
+        key = getDayKey(parts)
         break
       case 'week':
-        key = getWeekKey(date)
+        key = getWeekKey(parts)
         break
       case 'month':
-        key = `${date.getFullYear()}-${padZero(date.getMonth() + 1)}`
+        key = `${parts.year}-${padZero(parts.month)}`
         break
       default:
-        key = `${date.getFullYear()}-${padZero(date.getMonth() + 1)}-${padZero(date.getDate())}`
+        key = getDayKey(parts)
     }
 
     if (!timeUserMap.has(key)) {
@@ -229,6 +433,760 @@ export function transformActivityByUserOverTime(messages, groupBy = 'day') {
   return { labels: sortedTimeKeys, datasets }
 }
 
+/**
+ * Reply time buckets for the latency histogram (upper bounds in minutes)
+ */
+const REPLY_TIME_BUCKETS = [
+  { label: '< 1 min', max: 1 },
+  { label: '1–5 min', max: 5 },
+  { label: '5–15 min', max: 15 },
+  { label: '15–60 min', max: 60 },
+  { label: '1–3 h', max: 180 },
+  { label: '3–6 h', max: 360 },
+  { label: '6 h+', max: Infinity },
+]
+
+/**
+ * Collect reply times per participant
+ *
+ * A reply is the first message from someone after a message from someone else.
+ * Its reply time is the gap since that other person's last message. Gaps longer
+ * than maxGapHours (e.g. overnight) are treated as a new conversation, not a reply.
+ *
+ * @param {Array} messages - Array of message objects with timestamps and senders
+ * @param {Object} options - { maxGapHours: number }
+ * @returns {Object} { username: number[] } reply times in minutes
+ */
+export function calculateReplyTimes(messages, { maxGapHours = 12 } = {}) {
+  if (!messages || messages.length === 0) {
+    return {}
+  }
+
+  const maxGapMinutes = maxGapHours * 60
+  const replyTimes = {}
+
+  const ordered = messages
+    .filter(message => message.sender && isValidDate(message.timestamp) && message.type !== 'reaction')
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+
+  for (let i = 1; i < ordered.length; i++) {
+    const previous = ordered[i - 1]
+    const current = ordered[i]
+
+    if (current.sender === previous.sender) continue
+
+    const gapMinutes = (new Date(current.timestamp) - new Date(previous.timestamp)) / 60000
+    if (gapMinutes > maxGapMinutes) continue
+
+    if (!replyTimes[current.sender]) {
+      replyTimes[current.sender] = []
+    }
+    replyTimes[current.sender].push(gapMinutes)
+  }
+
+  return replyTimes
+}
+
+/**
+ * Transform messages into reply latency summary per participant
+ * @param {Array} messages - Array of message objects with timestamps and senders
+ * @param {Object} options - { maxGapHours: number }
+ * @returns {Object} { labels: string[], median: number[], p90: number[], counts: number[] } in minutes
+ */
+export function transformReplyLatency(messages, options = {}) {
+  const replyTimes = calculateReplyTimes(messages, options)
+  const entries = Object.entries(replyTimes)
+
+  if (entries.length === 0) {
+    return { labels: [], median: [], p90: [], counts: [] }
+  }
+
+  const labels = entries.map(([username]) => username)
+  const median = entries.map(([, times]) => percentile(times, 50))
+  const p90 = entries.map(([, times]) => percentile(times, 90))
+  const counts = entries.map(([, times]) => times.length)
+
+  return { labels, median, p90, counts }
+}
+
+/**
+ * Transform messages into a reply time distribution per participant
+ * @param {Array} messages - Array of message objects with timestamps and senders
+ * @param {Object} options - { maxGapHours: number }
+ * @returns {Object} { labels: string[], datasets: Array<{username, data}> }
+ */
+export function transformReplyLatencyHistogram(messages, options = {}) {
+  const replyTimes = calculateReplyTimes(messages, options)
+  const entries = Object.entries(replyTimes)
+
+  if (entries.length === 0) {
+    return { labels: [], datasets: [] }
+  }
+
+  const labels = REPLY_TIME_BUCKETS.map(bucket => bucket.label)
+
+  const datasets = entries.map(([username, times]) => {
+    const data = new Array(REPLY_TIME_BUCKETS.length).fill(0)
+    for (const minutes of times) {
+      const bucketIndex = REPLY_TIME_BUCKETS.findIndex(bucket => minutes < bucket.max)
+      data[bucketIndex]++
+    }
+    return { username, data }
+  })
+
+  return { labels, datasets }
+}
+
+/**
+ * Session length buckets (upper bounds in minutes)
+ */
+const SESSION_DURATION_BUCKETS = [
+  { label: '< 5 min', max: 5 },
+  { label: '5–15 min', max: 15 },
+  { label: '15–30 min', max: 30 },
+  { label: '30–60 min', max: 60 },
+  { label: '1–2 h', max: 120 },
+  { label: '2 h+', max: Infinity },
+]
+
+/**
+ * Session size buckets (upper bounds in messages, inclusive)
+ */
+const SESSION_MESSAGE_BUCKETS = [
+  { label: '1', max: 1 },
+  { label: '2–5', max: 5 },
+  { label: '6–10', max: 10 },
+  { label: '11–25', max: 25 },
+  { label: '26–50', max: 50 },
+  { label: '51–100', max: 100 },
+  { label: '100+', max: Infinity },
+]
+
+/**
+ * Split messages into conversation sessions
+ *
+ * A new session starts whenever nobody has written for longer than gapMinutes.
+ *
+ * @param {Array} messages - Array of message objects with timestamps and senders
+ * @param {Object} options - { gapMinutes: number }
+ * @returns {Array} Array of { start, end, durationMinutes, messageCount, initiator, closer }
+ */
+export function detectSessions(messages, { gapMinutes = 60 } = {}) {
+  if (!messages || messages.length === 0) {
+    return []
+  }
+
+  const ordered = messages
+    .filter(message => message.sender && isValidDate(message.timestamp) && message.type !== 'reaction')
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+
+  const sessions = []
+  let current = null
+
+  for (const message of ordered) {
+    const time = new Date(message.timestamp)
+
+    if (!current || (time - current.end) / 60000 > gapMinutes) {
+      current = { start: time, end: time, messageCount: 0, initiator: message.sender, closer: message.sender }
+      sessions.push(current)
+    }
+
+    current.end = time
+    current.closer = message.sender
+    current.messageCount++
+  }
+
+  return sessions.map(session => ({
+    ...session,
+    durationMinutes: (session.end - session.start) / 60000,
+  }))
+}
+
+/**
+ * Transform sessions into who starts and who ends conversations
+ * @param {Array} messages - Array of message objects with timestamps and senders
+ * @param {Object} options - { gapMinutes: number }
+ * @returns {Object} { labels: string[], initiated: number[], closed: number[] }
+ */
+export function transformSessionInitiators(messages, options = {}) {
+  const sessions = detectSessions(messages, options)
+
+  if (sessions.length === 0) {
+    return { labels: [], initiated: [], closed: [] }
+  }
+
+  const initiatedByUser = new Map()
+  const closedByUser = new Map()
+
+  for (const { initiator, closer } of sessions) {
+    initiatedByUser.set(initiator, (initiatedByUser.get(initiator) || 0) + 1)
+    closedByUser.set(closer, (closedByUser.get(closer) || 0) + 1)
+  }
+
+  const labels = Array.from(new Set([...initiatedByUser.keys(), ...closedByUser.keys()]))
+  const initiated = labels.map(user => initiatedByUser.get(user) || 0)
+  const closed = labels.map(user => closedByUser.get(user) || 0)
+
+  return { labels, initiated, closed }
+}
+
+/**
+ * Transform sessions into a length or size distribution
+ * @param {Array} messages - Array of message objects with timestamps and senders
+ * @param {string} metric - 'duration' (minutes) or 'messages' (message count)
+ * @param {Object} options - { gapMinutes: number }
+ * @returns {Object} { labels: string[], data: number[] }
+ */
+export function transformSessionDistribution(messages, metric = 'duration', options = {}) {
+  const sessions = detectSessions(messages, options)
+
+  if (sessions.length === 0) {
+    return { labels: [], data: [] }
+  }
+
+  const isDuration = metric === 'duration'
+  const buckets = isDuration ? SESSION_DURATION_BUCKETS : SESSION_MESSAGE_BUCKETS
+  const data = new Array(buckets.length).fill(0)
+
+  for (const session of sessions) {
+    const bucketIndex = isDuration
+      ? buckets.findIndex(bucket => session.durationMinutes < bucket.max)
+      : buckets.findIndex(bucket => session.messageCount <= bucket.max)
+    data[bucketIndex]++
+  }
+
+  return { labels: buckets.map(bucket => bucket.label), data }
+}
+
+/**
+ * Split messages into bursts: runs from one sender before anyone else writes
+ * @param {Array} messages - Array of message objects with timestamps and senders
+ * @returns {Array} Array of { sender, start, end, messageCount, gaps: number[] (ms between the run's messages) }
+ */
+export function detectBursts(messages) {
+  const ordered = (messages || [])
+    .filter(message => message.sender && isValidDate(message.timestamp) && message.type !== 'reaction')
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+
+  const bursts = []
+  let current = null
+
+  for (const message of ordered) {
+    const time = new Date(message.timestamp)
+
+    if (current && current.sender === message.sender) {
+      current.gaps.push(time - current.end)
+      current.end = time
+      current.messageCount++
+    } else {
+      current = { sender: message.sender, start: time, end: time, messageCount: 1, gaps: [] }
+      bursts.push(current)
+    }
+  }
+
+  return bursts
+}
+
+/**
+ * Summarize bursts and double texts per participant
+ *
+ * A double text is a follow-up sent after the sender's own message went
+ * unanswered for at least doubleTextHours.
+ *
+ * @param {Array} messages - Array of message objects with timestamps and senders
+ * @param {Object} options - { doubleTextHours: number }
+ * @returns {Object} { [sender]: { messages, bursts, averageBurstSize, longestBurst: { messageCount, start, end }, doubleTexts } }
+ */
+export function calculateBurstStats(messages, { doubleTextHours = 4 } = {}) {
+  const thresholdMs = doubleTextHours * 3600000
+  const stats = {}
+
+  for (const burst of detectBursts(messages)) {
+    if (!stats[burst.sender]) {
+      stats[burst.sender] = { messages: 0, bursts: 0, averageBurstSize: 0, longestBurst: null, doubleTexts: 0 }
+    }
+    const user = stats[burst.sender]
+    user.messages += burst.messageCount
+    user.bursts++
+    user.doubleTexts += burst.gaps.filter(gap => gap >= thresholdMs).length
+
+    if (!user.longestBurst || burst.messageCount > user.longestBurst.messageCount) {
+      user.longestBurst = { messageCount: burst.messageCount, start: burst.start, end: burst.end }
+    }
+  }
+
+  for (const user of Object.values(stats)) {
+    user.averageBurstSize = user.messages / user.bursts
+  }
+
+  return stats
+}
+
+/**
+ * Transform burst statistics into per-user bars
+ * @param {Array} messages - Array of message objects with timestamps and senders
+ * @param {Object} options - { doubleTextHours: number }
+ * @returns {Object} { labels: string[], messages: number[], bursts: number[], averageBurstSize: number[], doubleTexts: number[] }
+ */
+export function transformBurstsByUser(messages, options = {}) {
+  const stats = calculateBurstStats(messages, options)
+  const labels = Object.keys(stats)
+
+  return {
+    labels,
+    messages: labels.map(user => stats[user].messages),
+    bursts: labels.map(user => stats[user].bursts),
+    averageBurstSize: labels.map(user => Math.round(stats[user].averageBurstSize * 10) / 10),
+    doubleTexts: labels.map(user => stats[user].doubleTexts),
+  }
+}
+
+/**
+ * Find streaks of consecutive active days and the longest silence
+ *
+ * A day is active if anyone sent a message. The current streak counts as alive
+ * until a full day passes without messages, so it still includes yesterday.
+ *
+ * @param {Array} messages - Array of message objects with timestamps
+ * @param {Object} options - { today: Date } reference point for the current streak, { timeZone }
+ * @returns {Object} { longestStreak, currentStreak, longestSilence }, each
+ *   { days, start: Date, end: Date } or null. Streak dates are local midnights;
+ *   silence dates are the exact timestamps of the messages either side.
+ */
+export function calculateStreaks(messages, { today = new Date(), timeZone = null } = {}) {
+  const validMessages = (messages || [])
+    .filter(message => isValidDate(message.timestamp))
+
+  if (validMessages.length === 0) {
+    return { longestStreak: null, currentStreak: null, longestSilence: null }
+  }
+
+  const timestamps = validMessages
+    .map(message => new Date(message.timestamp))
+    .sort((a, b) => a - b)
+
+  // Runs of consecutive active days, as day numbers
+  const activeDays = [...new Set(validMessages.map(message => getDayNumber(getMessageParts(message, timeZone))))]
+    .sort((a, b) => a - b)
+  const runs = []
+
+  for (const day of activeDays) {
+    const lastRun = runs[runs.length - 1]
+    if (lastRun && day === lastRun.end + 1) {
+      lastRun.end = day
+    } else {
+      runs.push({ start: day, end: day })
+    }
+  }
+
+  const toStreak = run => ({
+    days: run.end - run.start + 1,
+    start: fromDayNumber(run.start),
+    end: fromDayNumber(run.end),
+  })
+
+  const longestRun = runs.reduce((best, run) => (run.end - run.start > best.end - best.start ? run : best))
+  const lastRun = runs[runs.length - 1]
+  // "Today" has no single sender, so per-sender zones fall back to the browser's
+  const todayZone = typeof timeZone === 'function' ? null : timeZone
+  const isCurrent = getDayNumber(getZonedParts(today, todayZone)) - lastRun.end <= 1
+
+  let longestSilence = null
+  for (let i = 1; i < timestamps.length; i++) {
+    const gap = timestamps[i] - timestamps[i - 1]
+    if (gap > 0 && (!longestSilence || gap > longestSilence.gap)) {
+      longestSilence = { gap, start: timestamps[i - 1], end: timestamps[i] }
+    }
+  }
+
+  return {
+    longestStreak: toStreak(longestRun),
+    currentStreak: isCurrent ? toStreak(lastRun) : null,
+    longestSilence: longestSilence && {
+      days: longestSilence.gap / 86400000,
+      start: longestSilence.start,
+      end: longestSilence.end,
+    },
+  }
+}
+
+/**
+ * List the years that contain messages
+ * @param {Array} messages - Array of message objects with timestamps
+ * @param {Object} options - { timeZone }
+ * @returns {number[]} Years in ascending order
+ */
+export function getActiveYears(messages, { timeZone = null } = {}) {
+  const years = new Set(
+    (messages || [])
+      .filter(message => isValidDate(message.timestamp))
+      .map(message => getMessageParts(message, timeZone).year)
+  )
+  return [...years].sort((a, b) => a - b)
+}
+
+/**
+ * Transform messages into a calendar heatmap for one year
+ *
+ * Weeks run Sunday to Saturday. Cells outside the year are null so the first
+ * and last columns line up with the weekday rows.
+ *
+ * @param {Array} messages - Array of message objects with timestamps
+ * @param {number} year - Calendar year to show
+ * @param {Object} options - { timeZone }
+ * @returns {Object} { weeks: Array<Array<{ date: string, count: number }|null>>, max: number, total: number }
+ */
+export function transformCalendarHeatmap(messages, year, { timeZone = null } = {}) {
+  const counts = new Map()
+  let total = 0
+
+  for (const message of messages || []) {
+    if (!isValidDate(message.timestamp)) continue
+    const parts = getMessageParts(message, timeZone)
+    if (parts.year !== year) continue
+
+    const key = getDayKey(parts)
+    counts.set(key, (counts.get(key) || 0) + 1)
+    total++
+  }
+
+  const weeks = []
+  let week = new Array(new Date(year, 0, 1).getDay()).fill(null)
+
+  for (let date = new Date(year, 0, 1); date.getFullYear() === year; date.setDate(date.getDate() + 1)) {
+    const key = getDayKey(getZonedParts(date))
+    week.push({ date: key, count: counts.get(key) || 0 })
+
+    if (week.length === 7) {
+      weeks.push(week)
+      week = []
+    }
+  }
+
+  if (week.length > 0) {
+    weeks.push([...week, ...new Array(7 - week.length).fill(null)])
+  }
+
+  const max = counts.size > 0 ? Math.max(...counts.values()) : 0
+
+  return { weeks, max, total }
+}
+
+// How long after a call was started its "call ended" notice may appear,
+// beyond the call's own duration
+const CALL_PAIR_SLACK_MS = 5 * 60 * 1000
+
+/**
+ * Collect calls from parsed call notices
+ *
+ * Instagram can log one call twice: "Alice started an audio call" when it
+ * rings and "Audio call ended" once it's over. An end notice is paired with
+ * the latest unmatched start of the same medium so the call counts once and
+ * the person who started it gets the credit. Otherwise the sender of the
+ * notice is taken to have started the call.
+ *
+ * @param {Array} messages - Array of message objects, calls carrying `call`
+ * @returns {Array} Array of { time: Date, initiator, medium, duration: seconds|null, missed }
+ */
+export function detectCalls(messages) {
+  const ordered = (messages || [])
+    .filter(message => message.call && isValidDate(message.timestamp))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+
+  const calls = []
+
+  for (const message of ordered) {
+    const { event, medium, duration } = message.call
+    const time = new Date(message.timestamp)
+
+    if (event === 'ended') {
+      const windowMs = (duration || 0) * 1000 + CALL_PAIR_SLACK_MS
+      const started = calls.findLast(call => call.ringing && call.medium === medium && time - call.time <= windowMs)
+      if (started) {
+        started.duration = duration
+        started.ringing = false
+        continue
+      }
+    }
+
+    calls.push({
+      time,
+      initiator: message.sender,
+      medium,
+      duration,
+      missed: event === 'missed',
+      ringing: event === 'started',
+    })
+  }
+
+  return calls.map(({ ringing, ...call }) => call)
+}
+
+/**
+ * Summarize calls: talk time, lengths and who calls whom
+ *
+ * callsPerMonth averages over every month from the first call to the last,
+ * including months without calls.
+ *
+ * @param {Array} messages - Array of message objects, calls carrying `call`
+ * @param {Object} options - { timeZone }
+ * @returns {Object} { totalCalls, answeredCalls, missedCalls, totalDuration, averageDuration,
+ *   callsPerMonth, longestCall, byUser: { [name]: { started, missed, duration } } } (durations in seconds)
+ */
+export function calculateCallStats(messages, { timeZone = null } = {}) {
+  const calls = detectCalls(messages)
+  const answered = calls.filter(call => !call.missed)
+  const timed = answered.filter(call => call.duration > 0)
+  const totalDuration = timed.reduce((sum, call) => sum + call.duration, 0)
+
+  const byUser = {}
+  for (const call of calls) {
+    if (!byUser[call.initiator]) {
+      byUser[call.initiator] = { started: 0, missed: 0, duration: 0 }
+    }
+    byUser[call.initiator].started++
+    if (call.missed) {
+      byUser[call.initiator].missed++
+    } else {
+      byUser[call.initiator].duration += call.duration || 0
+    }
+  }
+
+  let callsPerMonth = 0
+  if (calls.length > 0) {
+    const monthIndex = call => {
+      const parts = getMessageParts({ sender: call.initiator, timestamp: call.time }, timeZone)
+      return parts.year * 12 + parts.month
+    }
+    const months = calls.map(monthIndex)
+    callsPerMonth = calls.length / (Math.max(...months) - Math.min(...months) + 1)
+  }
+
+  return {
+    totalCalls: calls.length,
+    answeredCalls: answered.length,
+    missedCalls: calls.length - answered.length,
+    totalDuration,
+    averageDuration: timed.length > 0 ? totalDuration / timed.length : 0,
+    callsPerMonth,
+    longestCall: timed.reduce((longest, call) => (!longest || call.duration > longest.duration ? call : longest), null),
+    byUser,
+  }
+}
+
+/**
+ * Transform calls into a monthly timeline
+ * @param {Array} messages - Array of message objects, calls carrying `call`
+ * @param {Object} options - { timeZone }
+ * @returns {Object} { labels: string[] (YYYY-MM), answered: number[], missed: number[], minutes: number[] }
+ */
+export function transformCallTimeline(messages, { timeZone = null } = {}) {
+  const months = new Map()
+
+  for (const call of detectCalls(messages)) {
+    const parts = getMessageParts({ sender: call.initiator, timestamp: call.time }, timeZone)
+    const key = `${parts.year}-${padZero(parts.month)}`
+
+    if (!months.has(key)) {
+      months.set(key, { answered: 0, missed: 0, seconds: 0 })
+    }
+    const month = months.get(key)
+    if (call.missed) {
+      month.missed++
+    } else {
+      month.answered++
+      month.seconds += call.duration || 0
+    }
+  }
+
+  const labels = [...months.keys()].sort()
+
+  return {
+    labels,
+    answered: labels.map(key => months.get(key).answered),
+    missed: labels.map(key => months.get(key).missed),
+    minutes: labels.map(key => Math.round(months.get(key).seconds / 6) / 10),
+  }
+}
+
+/**
+ * Transform scored messages into a monthly sentiment or affection trend per user
+ * @param {Array} messages - Array of message objects
+ * @param {string} metric - 'sentiment' (average score per message) or 'affection' (terms per 100 messages)
+ * @param {Object} options - { timeZone, affectionTerms }
+ * @returns {Object} { labels: string[] (YYYY-MM), datasets: Array<{username, data}> }
+ */
+export function transformSentimentOverTime(messages, metric = 'sentiment', { timeZone = null, affectionTerms } = {}) {
+  const months = new Map() // month -> sender -> { messages, sentiment, affection }
+
+  for (const message of messages || []) {
+    if (message.type !== 'text' || !message.sender || !isValidDate(message.timestamp)) continue
+
+    const parts = getMessageParts(message, timeZone)
+    const key = `${parts.year}-${padZero(parts.month)}`
+    if (!months.has(key)) {
+      months.set(key, new Map())
+    }
+    const byUser = months.get(key)
+    if (!byUser.has(message.sender)) {
+      byUser.set(message.sender, { messages: 0, sentiment: 0, affection: 0 })
+    }
+
+    const score = scoreMessage(message, { affectionTerms })
+    const totals = byUser.get(message.sender)
+    totals.messages++
+    totals.sentiment += score.sentiment
+    totals.affection += score.affection
+  }
+
+  const labels = [...months.keys()].sort()
+  const usernames = Array.from(new Set(labels.flatMap(month => [...months.get(month).keys()])))
+
+  const datasets = usernames.map(username => ({
+    username,
+    // null leaves a gap for months the user didn't write in
+    data: labels.map(month => {
+      const totals = months.get(month).get(username)
+      if (!totals) return null
+      return metric === 'affection'
+        ? Math.round((totals.affection / totals.messages) * 1000) / 10
+        : Math.round((totals.sentiment / totals.messages) * 100) / 100
+    }),
+  }))
+
+  return { labels, datasets }
+}
+
+/**
+ * Normalized metrics for one conversation, comparable across chats of any length
+ *
+ * Messages per day counts every calendar day from the first to the last
+ * message, quiet days included. Shares are percentages of all messages or
+ * replies, so busy and quiet chats line up.
+ *
+ * @param {Array} messages - Array of message objects
+ * @param {Object} options - { timeZone, maxGapHours } (maxGapHours as in calculateReplyTimes)
+ * @returns {Object} { messages, days, messagesPerDay, emojisPerHundred, medianReplyMinutes: number|null,
+ *   dailyByMonth: number[] (messages per day in the 1st, 2nd, ... month), hourShare: number[24], replyShare: number[] }
+ */
+export function calculateComparisonMetrics(messages, { timeZone = null, maxGapHours = 12 } = {}) {
+  const list = messages || []
+  const months = new Map() // year * 12 + month index -> messages
+  let emojis = 0
+  let dated = 0
+  let firstDay = Infinity
+  let lastDay = -Infinity
+  let firstMonth = Infinity
+  let lastMonth = -Infinity
+
+  for (const message of list) {
+    emojis += message.emojis?.length || 0
+    if (!isValidDate(message.timestamp)) continue
+
+    const parts = getMessageParts(message, timeZone)
+    const day = getDayNumber(parts)
+    if (day < firstDay) firstDay = day
+    if (day > lastDay) lastDay = day
+    dated++
+    const month = parts.year * 12 + parts.month - 1
+    if (month < firstMonth) firstMonth = month
+    if (month > lastMonth) lastMonth = month
+    months.set(month, (months.get(month) || 0) + 1)
+  }
+
+  const days = dated > 0 ? lastDay - firstDay + 1 : 0
+
+  // Messages per day in each month, counting only the days the chat spans
+  const dailyByMonth = []
+  if (dated > 0) {
+    for (let month = firstMonth; month <= lastMonth; month++) {
+      const year = Math.floor(month / 12)
+      const start = Math.max(getDayNumber({ year, month: (month % 12) + 1, day: 1 }), firstDay)
+      const end = Math.min(getDayNumber({ year, month: (month % 12) + 2, day: 1 }) - 1, lastDay)
+      dailyByMonth.push(Math.round(((months.get(month) || 0) / (end - start + 1)) * 10) / 10)
+    }
+  }
+
+  const replyTimes = Object.values(calculateReplyTimes(list, { maxGapHours })).flat()
+  const replyCounts = new Array(REPLY_TIME_BUCKETS.length).fill(0)
+  for (const minutes of replyTimes) {
+    replyCounts[REPLY_TIME_BUCKETS.findIndex(bucket => minutes < bucket.max)]++
+  }
+
+  const { data: hourCounts } = transformActivityByHourOfDay(list, { timeZone })
+
+  return {
+    messages: list.length,
+    days,
+    messagesPerDay: days > 0 ? Math.round((dated / days) * 10) / 10 : 0,
+    emojisPerHundred: list.length > 0 ? Math.round((emojis / list.length) * 1000) / 10 : 0,
+    medianReplyMinutes: replyTimes.length > 0 ? Math.round(percentile(replyTimes, 50) * 10) / 10 : null,
+    dailyByMonth,
+    hourShare: (hourCounts.length > 0 ? hourCounts : new Array(24).fill(0))
+      .map(count => (dated > 0 ? Math.round((count / dated) * 1000) / 10 : 0)),
+    replyShare: replyCounts
+      .map(count => (replyTimes.length > 0 ? Math.round((count / replyTimes.length) * 1000) / 10 : 0)),
+  }
+}
+
+/**
+ * Transform two (or more) conversations into overlaid, normalized series
+ * @param {Array} conversations - Array of { label, messages }
+ * @param {Object} options - { timeZone, maxGapHours }
+ * @returns {Object} { summary: Array<{label, ...calculateComparisonMetrics}>,
+ *   messagesPerDay, hourOfDay, replyLatency: { labels: string[], datasets: Array<{username, data}> } }
+ *   (username is the conversation label; messagesPerDay is aligned by month since each chat began)
+ */
+export function transformConversationComparison(conversations, options = {}) {
+  const summary = conversations.map(({ label, messages }) => ({
+    label,
+    ...calculateComparisonMetrics(messages, options),
+  }))
+
+  const monthCount = Math.max(0, ...summary.map(metrics => metrics.dailyByMonth.length))
+
+  return {
+    summary,
+    messagesPerDay: {
+      labels: Array.from({ length: monthCount }, (_, index) => `Month ${index + 1}`),
+      datasets: summary.map(({ label, dailyByMonth }) => ({
+        username: label,
+        // null after a shorter chat ends, so its line stops there
+        data: Array.from({ length: monthCount }, (_, index) => dailyByMonth[index] ?? null),
+      })),
+    },
+    hourOfDay: {
+      labels: HOUR_LABELS,
+      datasets: summary.map(({ label, hourShare }) => ({ username: label, data: hourShare })),
+    },
+    replyLatency: {
+      labels: REPLY_TIME_BUCKETS.map(bucket => bucket.label),
+      datasets: summary.map(({ label, replyShare }) => ({ username: label, data: replyShare })),
+    },
+  }
+}
+
+/**
+ * Helper: Percentile of a list of numbers (linear interpolation)
+ */
+export function percentile(values, p) {
+  if (!values || values.length === 0) return 0
+
+  const sorted = [...values].sort((a, b) => a - b)
+  const rank = (p / 100) * (sorted.length - 1)
+  const lower = Math.floor(rank)
+  const upper = Math.ceil(rank)
+
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower)
+}
+
+/**
+ * Helper: Check for a usable timestamp
+ */
+function isValidDate(value) {
+  return value !== null && value !== undefined && !isNaN(new Date(value))
+}
+
 /**
  * Helper: Pad number with zero
  */
@@ -237,19 +1195,48 @@ function padZero(num) {
 }
 
 /**
- * Helper: Get ISO week key for a date
+ * Helper: Calendar fields of a message's timestamp in the requested zone
+ */
+function getMessageParts(message, timeZone) {
+  const zone = typeof timeZone === 'function' ? timeZone(message.sender) : timeZone
+  return getZonedParts(message.timestamp, zone)
+}
+
+/**
+ * Helper: Calendar date key (YYYY-MM-DD) from zoned parts
+ */
+function getDayKey(parts) {
+  return `${parts.year}-${padZero(parts.month)}-${padZero(parts.day)}`
+}
+
+/**
+ * Helper: Days since epoch for a calendar date (DST-safe)
+ */
+function getDayNumber(parts) {
+  return Math.round(Date.UTC(parts.year, parts.month - 1, parts.day) / 86400000)
+}
+
+/**
+ * Helper: Local midnight for a day number
+ */
+function fromDayNumber(dayNumber) {
+  const utc = new Date(dayNumber * 86400000)
+  return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate())
+}
+
+/**
+ * Helper: Get ISO week key for zoned parts
  */
-function getWeekKey(date) {
-  const year = date.getFullYear()
-  const weekNum = getWeekNumber(date)
-  return `${year}-W${padZero(weekNum)}`
+function getWeekKey(parts) {
+  const weekNum = getWeekNumber(parts)
+  return `${parts.year}-W${padZero(weekNum)}`
 }
 
 /**
  * Helper: Get ISO week number
  */
-function getWeekNumber(date) {
-  const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()))
+function getWeekNumber(parts) {
+  const d = new Date(Date.UTC(parts.year, parts.month - 1, parts.day))
   const dayNum = d.getUTCDay() || 7
   d.setUTCDate(d.getUTCDate() + 4 - dayNum)
   const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1))
@@ -0,0 +1,655 @@
+import { describe, it, expect } from 'vitest'
+import {
+  calculateReplyTimes,
+  calculateStreaks,
+  getActiveYears,
+  transformCalendarHeatmap,
+  detectSessions,
+  transformSessionInitiators,
+  transformSessionDistribution,
+  detectBursts,
+  calculateBurstStats,
+  transformBurstsByUser,
+  transformReplyLatency,
+  transformReplyLatencyHistogram,
+  transformReactionsByUser,
+  transformDayHourHeatmap,
+  transformDayHourDifference,
+  transformMessageLengthByUser,
+  transformMessageLengthHistogram,
+  transformMessageLengthOverTime,
+  transformMessagesTimeline,
+  transformMediaByUser,
+  transformActivityByDayOfWeek,
+  transformActivityByHourOfDay,
+  detectCalls,
+  calculateCallStats,
+  transformCallTimeline,
+  transformSentimentOverTime,
+  calculateComparisonMetrics,
+  transformConversationComparison,
+  percentile,
+} from './chartTransforms'
+
+/**
+ * Build a message at a given number of minutes after a fixed start
+ */
+function message(sender, minutesAfterStart, type = 'text') {
+  return {
+    sender,
+    content: '',
+    timestamp: new Date(2025, 9, 16, 8, 0 + minutesAfterStart),
+    emojis: [],
+    type,
+  }
+}
+
+describe('chartTransforms - Reactions', () => {
+  it('lines up given and received counts per user', () => {
+    const result = transformReactionsByUser({ Alice: 3 }, { Alice: 1, Bob: 4 })
+
+    expect(result).toEqual({ labels: ['Alice', 'Bob'], given: [3, 0], received: [1, 4] })
+  })
+
+  it('handles empty data', () => {
+    expect(transformReactionsByUser({}, {})).toEqual({ labels: [], given: [], received: [] })
+  })
+})
+
+describe('chartTransforms - Reply Latency', () => {
+  const messages = [
+    message('Alice', 0),
+    message('Bob', 2), // Bob replies after 2 min
+    message('Bob', 3), // same sender, not a reply
+    message('Alice', 13), // Alice replies after 10 min
+    message('Bob', 13 + 16 * 60), // next morning, past the 12h threshold
+    message('Alice', 13 + 16 * 60 + 1, 'reaction'), // reactions are not replies
+    message('Alice', 13 + 16 * 60 + 30), // Alice replies after 30 min
+  ]
+
+  it('measures the gap since the other person\'s last message', () => {
+    expect(calculateReplyTimes(messages)).toEqual({ Bob: [2], Alice: [10, 30] })
+  })
+
+  it('sorts messages chronologically first', () => {
+    expect(calculateReplyTimes([...messages].reverse())).toEqual({ Bob: [2], Alice: [10, 30] })
+  })
+
+  it('respects a configurable gap threshold', () => {
+    expect(calculateReplyTimes(messages, { maxGapHours: 24 })).toEqual({ Bob: [2, 16 * 60], Alice: [10, 30] })
+    expect(calculateReplyTimes(messages, { maxGapHours: 0.1 })).toEqual({ Bob: [2] })
+  })
+
+  it('summarises median and 90th percentile per user', () => {
+    const result = transformReplyLatency(messages)
+
+    expect(result.labels).toEqual(['Bob', 'Alice'])
+    expect(result.median).toEqual([2, 20])
+    expect(result.p90).toEqual([2, 28])
+    expect(result.counts).toEqual([1, 2])
+  })
+
+  it('buckets reply times into a histogram', () => {
+    const result = transformReplyLatencyHistogram(messages)
+
+    expect(result.labels).toEqual(['< 1 min', '1–5 min', '5–15 min', '15–60 min', '1–3 h', '3–6 h', '6 h+'])
+    expect(result.datasets).toEqual([
+      { username: 'Bob', data: [0, 1, 0, 0, 0, 0, 0] },
+      { username: 'Alice', data: [0, 0, 1, 1, 0, 0, 0] },
+    ])
+  })
+
+  it('handles empty data', () => {
+    expect(transformReplyLatency([])).toEqual({ labels: [], median: [], p90: [], counts: [] })
+    expect(transformReplyLatencyHistogram([])).toEqual({ labels: [], datasets: [] })
+  })
+
+  it('interpolates percentiles', () => {
+    expect(percentile([1, 2, 3, 4], 50)).toBe(2.5)
+    expect(percentile([10], 90)).toBe(10)
+    expect(percentile([], 50)).toBe(0)
+  })
+})
+
+describe('chartTransforms - Sessions', () => {
+  const messages = [
+    message('Alice', 0),
+    message('Bob', 5),
+    message('Alice', 40), // 35 min later, same session
+    message('Bob', 3 * 60), // over an hour of silence, new session
+    message('Alice', 3 * 60 + 1, 'reaction'), // reactions don't keep a session going
+    message('Bob', 3 * 60 + 2),
+    message('Alice', 10 * 60), // new session
+  ]
+
+  it('splits messages on inactivity gaps', () => {
+    const sessions = detectSessions(messages)
+
+    expect(sessions.map(s => [s.initiator, s.closer, s.messageCount, s.durationMinutes])).toEqual([
+      ['Alice', 'Alice', 3, 40],
+      ['Bob', 'Bob', 2, 2],
+      ['Alice', 'Alice', 1, 0],
+    ])
+  })
+
+  it('respects a configurable gap', () => {
+    expect(detectSessions(messages, { gapMinutes: 30 })).toHaveLength(4)
+    expect(detectSessions(messages, { gapMinutes: 24 * 60 })).toHaveLength(1)
+  })
+
+  it('counts who starts and ends conversations', () => {
+    expect(transformSessionInitiators(messages)).toEqual({
+      labels: ['Alice', 'Bob'],
+      initiated: [2, 1],
+      closed: [2, 1],
+    })
+  })
+
+  it('buckets session length and size', () => {
+    expect(transformSessionDistribution(messages, 'duration').data).toEqual([2, 0, 0, 1, 0, 0])
+    expect(transformSessionDistribution(messages, 'messages').data).toEqual([1, 2, 0, 0, 0, 0, 0])
+  })
+
+  it('handles empty data', () => {
+    expect(detectSessions([])).toEqual([])
+    expect(transformSessionInitiators([])).toEqual({ labels: [], initiated: [], closed: [] })
+    expect(transformSessionDistribution([])).toEqual({ labels: [], data: [] })
+  })
+})
+
+describe('chartTransforms - Bursts', () => {
+  const messages = [
+    message('Alice', 0),
+    message('Alice', 1),
+    message('Alice', 2),
+    message('Bob', 3),
+    message('Bob', 4, 'reaction'),
+    message('Alice', 5),
+    // Alice follows up after five hours without a reply
+    message('Alice', 305),
+    message('Bob', 306),
+  ]
+
+  it('groups consecutive messages from one sender, ignoring reactions', () => {
+    const bursts = detectBursts(messages)
+
+    expect(bursts.map(burst => [burst.sender, burst.messageCount])).toEqual([
+      ['Alice', 3],
+      ['Bob', 1],
+      ['Alice', 2],
+      ['Bob', 1],
+    ])
+    expect(bursts[2].gaps).toEqual([300 * 60000])
+  })
+
+  it('summarizes burst size, longest monologue and double texts', () => {
+    const stats = calculateBurstStats(messages)
+
+    expect(stats.Alice).toMatchObject({ messages: 5, bursts: 2, averageBurstSize: 2.5, doubleTexts: 1 })
+    expect(stats.Alice.longestBurst).toEqual({
+      messageCount: 3,
+      start: new Date(2025, 9, 16, 8, 0),
+      end: new Date(2025, 9, 16, 8, 2),
+    })
+    expect(stats.Bob).toMatchObject({ messages: 2, bursts: 2, averageBurstSize: 1, doubleTexts: 0 })
+  })
+
+  it('uses the double text threshold', () => {
+    expect(calculateBurstStats(messages, { doubleTextHours: 6 }).Alice.doubleTexts).toBe(0)
+  })
+
+  it('lines up per-user bars', () => {
+    expect(transformBurstsByUser(messages)).toEqual({
+      labels: ['Alice', 'Bob'],
+      messages: [5, 2],
+      bursts: [2, 2],
+      averageBurstSize: [2.5, 1],
+      doubleTexts: [1, 0],
+    })
+  })
+})
+
+describe('chartTransforms - Streaks', () => {
+  const at = (month, day, hour = 12) => ({ sender: 'Alice', timestamp: new Date(2025, month, day, hour) })
+
+  const messages = [
+    at(0, 1),
+    at(0, 2),
+    at(0, 3, 23),
+    at(0, 4, 1), // four days in a row
+    at(0, 20), // 16 days of silence
+    at(0, 21),
+  ]
+
+  it('finds the longest streak with its dates', () => {
+    const { longestStreak } = calculateStreaks(messages, { today: new Date(2025, 5, 1) })
+
+    expect(longestStreak).toEqual({ days: 4, start: new Date(2025, 0, 1), end: new Date(2025, 0, 4) })
+  })
+
+  it('keeps the current streak alive until a full day is missed', () => {
+    expect(calculateStreaks(messages, { today: new Date(2025, 0, 22, 9) }).currentStreak)
+      .toEqual({ days: 2, start: new Date(2025, 0, 20), end: new Date(2025, 0, 21) })
+    expect(calculateStreaks(messages, { today: new Date(2025, 0, 23) }).currentStreak).toBeNull()
+  })
+
+  it('reports the longest silence between two messages', () => {
+    const { longestSilence } = calculateStreaks(messages)
+
+    expect(longestSilence.start).toEqual(new Date(2025, 0, 4, 1))
+    expect(longestSilence.end).toEqual(new Date(2025, 0, 20, 12))
+    expect(longestSilence.days).toBeCloseTo(16 + 11 / 24)
+  })
+
+  it('counts streaks across daylight saving changes', () => {
+    const dstMessages = [24, 25, 26, 27, 28, 29, 30, 31].map(day => at(2, day))
+
+    expect(calculateStreaks(dstMessages).longestStreak.days).toBe(8)
+  })
+
+  it('handles empty data', () => {
+    expect(calculateStreaks([])).toEqual({ longestStreak: null, currentStreak: null, longestSilence: null })
+  })
+})
+
+describe('chartTransforms - Calendar Heatmap', () => {
+  const messages = [
+    { sender: 'Alice', timestamp: new Date(2025, 0, 1, 9) },
+    { sender: 'Bob', timestamp: new Date(2025, 0, 1, 10) },
+    { sender: 'Alice', timestamp: new Date(2025, 11, 31, 22) },
+    { sender: 'Alice', timestamp: new Date(2024, 5, 1) },
+  ]
+
+  it('lays out one cell per day in Sunday-first weeks', () => {
+    const { weeks, max, total } = transformCalendarHeatmap(messages, 2025)
+    const days = weeks.flat().filter(Boolean)
+
+    expect(days).toHaveLength(365)
+    expect(weeks.every(week => week.length === 7)).toBe(true)
+    // 1 January 2025 was a Wednesday
+    expect(weeks[0].slice(0, 4)).toEqual([null, null, null, { date: '2025-01-01', count: 2 }])
+    expect(days.at(-1)).toEqual({ date: '2025-12-31', count: 1 })
+    expect(max).toBe(2)
+    expect(total).toBe(3)
+  })
+
+  it('lists the years that have messages', () => {
+    expect(getActiveYears(messages)).toEqual([2024, 2025])
+    expect(getActiveYears([])).toEqual([])
+  })
+})
+
+describe('chartTransforms - Message Length', () => {
+  const messageLengthByUser = {
+    Alice: {
+      messages: 4,
+      averageWords: 2.25,
+      medianWords: 1.5,
+      averageCharacters: 10.333,
+      medianCharacters: 8,
+      lengthBuckets: { 'One word': 2, 'Short (2–5)': 1, 'Sentence (6–15)': 1 },
+    },
+    Bob: {
+      messages: 1,
+      averageWords: 20,
+      medianWords: 20,
+      averageCharacters: 110,
+      medianCharacters: 110,
+      lengthBuckets: { 'One word': 0, 'Short (2–5)': 0, 'Sentence (6–15)': 1 },
+    },
+  }
+
+  it('lines up average and median per user', () => {
+    expect(transformMessageLengthByUser(messageLengthByUser)).toEqual({
+      labels: ['Alice', 'Bob'],
+      average: [2.3, 20],
+      median: [1.5, 20],
+    })
+    expect(transformMessageLengthByUser(messageLengthByUser, 'characters').average).toEqual([10.3, 110])
+  })
+
+  it('turns buckets into each user\'s share of messages', () => {
+    expect(transformMessageLengthHistogram(messageLengthByUser)).toEqual({
+      labels: ['One word', 'Short (2–5)', 'Sentence (6–15)'],
+      datasets: [
+        { username: 'Alice', data: [50, 25, 25] },
+        { username: 'Bob', data: [0, 0, 100] },
+      ],
+    })
+  })
+
+  it('averages length per month with gaps for silent months', () => {
+    const result = transformMessageLengthOverTime({
+      '2025-10': { Alice: { messages: 2, words: 5, characters: 30 } },
+      '2025-09': { Alice: { messages: 1, words: 1, characters: 2 }, Bob: { messages: 2, words: 8, characters: 40 } },
+    })
+
+    expect(result).toEqual({
+      labels: ['2025-09', '2025-10'],
+      datasets: [
+        { username: 'Alice', data: [1, 2.5] },
+        { username: 'Bob', data: [4, null] },
+      ],
+    })
+  })
+
+  it('handles empty data', () => {
+    expect(transformMessageLengthByUser({})).toEqual({ labels: [], average: [], median: [] })
+    expect(transformMessageLengthHistogram({})).toEqual({ labels: [], datasets: [] })
+    expect(transformMessageLengthOverTime({})).toEqual({ labels: [], datasets: [] })
+  })
+})
+
+describe('chartTransforms - Day × Hour Heatmap', () => {
+  // 5 October 2025 was a Sunday
+  const at = (sender, day, hour) => ({ sender, timestamp: new Date(2025, 9, 5 + day, hour, 30) })
+
+  const messages = [
+    at('Alice', 0, 23),
+    at('Alice', 0, 23),
+    at('Alice', 1, 9),
+    at('Bob', 1, 9),
+    at('Bob', 1, 9),
+    at('Bob', 1, 9),
+    at('Bob', 6, 14),
+  ]
+
+  it('counts messages per weekday and hour', () => {
+    const { days, hours, data, max } = transformDayHourHeatmap(messages)
+
+    expect(days[0]).toBe('Sunday')
+    expect(hours).toHaveLength(24)
+    expect(data[0][23]).toBe(2)
+    expect(data[1][9]).toBe(4)
+    expect(data[6][14]).toBe(1)
+    expect(max).toBe(4)
+  })
+
+  it('can count a single participant', () => {
+    const { data } = transformDayHourHeatmap(messages, { sender: 'Bob' })
+
+    expect(data[0][23]).toBe(0)
+    expect(data[1][9]).toBe(3)
+  })
+
+  it('compares each participant\'s share of their own messages', () => {
+    const { data, maxAbs } = transformDayHourDifference(messages, 'Alice', 'Bob')
+
+    expect(data[0][23]).toBeCloseTo(66.67) // Alice's late Sundays
+    expect(data[1][9]).toBeCloseTo(33.33 - 75) // mostly Bob's slot
+    expect(data[6][14]).toBe(-25)
+    expect(data[3][3]).toBe(0)
+    expect(maxAbs).toBeCloseTo(66.67)
+  })
+
+  it('handles empty data', () => {
+    expect(transformDayHourHeatmap([]).max).toBe(0)
+    expect(transformDayHourDifference([], 'Alice', 'Bob').maxAbs).toBe(0)
+  })
+})
+
+describe('chartTransforms - Time Zones', () => {
+  // Sunday 5 January 2025: 18:30 in New York, Monday 08:30 in Tokyo
+  const utc = (day, hour, minute = 30) => new Date(Date.UTC(2025, 0, day, hour, minute))
+
+  const messages = [
+    { sender: 'Alice', timestamp: utc(5, 23) },
+    { sender: 'Bob', timestamp: utc(6, 1) },
+  ]
+
+  it('buckets hours and weekdays in the chosen zone', () => {
+    const newYork = transformActivityByHourOfDay(messages, { timeZone: 'America/New_York' }).data
+    expect(newYork[18]).toBe(1)
+    expect(newYork[20]).toBe(1)
+
+    const tokyo = transformActivityByDayOfWeek(messages, { timeZone: 'Asia/Tokyo' }).data
+    expect(tokyo[1]).toBe(2)
+  })
+
+  it('buckets days and months in the chosen zone', () => {
+    expect(transformMessagesTimeline(messages, 'day', { timeZone: 'America/New_York' }).labels)
+      .toEqual(['2025-01-05'])
+    expect(transformMessagesTimeline(messages, 'day', { timeZone: 'Asia/Tokyo' }).labels)
+      .toEqual(['2025-01-06'])
+
+    const newYearsEve = [{ sender: 'Alice', timestamp: new Date(Date.UTC(2025, 0, 1, 2)) }]
+    expect(transformMessagesTimeline(newYearsEve, 'month', { timeZone: 'America/New_York' }).labels)
+      .toEqual(['2024-12'])
+    expect(getActiveYears(newYearsEve, { timeZone: 'America/New_York' })).toEqual([2024])
+  })
+
+  it('reads each message in its sender\'s home zone', () => {
+    const homes = { Alice: 'America/New_York', Bob: 'Asia/Tokyo' }
+    const { data } = transformDayHourHeatmap(messages, { timeZone: sender => homes[sender] })
+
+    expect(data[0][18]).toBe(1) // Alice's Sunday evening
+    expect(data[1][10]).toBe(1) // Bob's Monday morning
+  })
+
+  it('counts streak days in the chosen zone', () => {
+    const lateNights = [
+      { sender: 'Alice', timestamp: utc(5, 3) },
+      { sender: 'Alice', timestamp: utc(6, 3) },
+    ]
+    const today = utc(6, 12)
+
+    // 22:30 on the 4th and 5th in New York, 12:30 on the 5th and 6th in Tokyo
+    expect(calculateStreaks(lateNights, { today, timeZone: 'America/New_York' }).longestStreak.days).toBe(2)
+    expect(calculateStreaks(lateNights, { today, timeZone: 'Asia/Tokyo' }).currentStreak.days).toBe(2)
+
+    const { weeks } = transformCalendarHeatmap(lateNights, 2025, { timeZone: 'America/New_York' })
+    expect(weeks.flat().filter(Boolean).find(day => day.date === '2025-01-04').count).toBe(1)
+  })
+})
+
+describe('chartTransforms - Media', () => {
+  const mediaByUser = {
+    Alice: { photo: 6, video: 0, voice: 2, share: 0, story: 0, gif: 0, link: 0 },
+    Bob: { photo: 1, video: 0, voice: 0, share: 3, story: 0, gif: 0, link: 0 },
+  }
+
+  it('groups counts by media kind', () => {
+    const { labels, datasets } = transformMediaByUser(mediaByUser)
+
+    expect(labels[0]).toBe('Photos')
+    expect(labels).toHaveLength(7)
+    expect(datasets[0]).toEqual({ username: 'Alice', data: [6, 0, 2, 0, 0, 0, 0] })
+  })
+
+  it('can show each kind as a share of the person\'s media', () => {
+    const { datasets } = transformMediaByUser(mediaByUser, 'percent')
+
+    expect(datasets[0].data.slice(0, 3)).toEqual([75, 0, 25])
+    expect(datasets[1].data[3]).toBe(75)
+  })
+
+  it('handles empty data', () => {
+    expect(transformMediaByUser({})).toEqual({ labels: [], datasets: [] })
+  })
+})
+
+describe('chartTransforms - Calls', () => {
+  const call = (sender, day, hour, minute, event, duration, medium = 'audio') => ({
+    sender,
+    content: '',
+    timestamp: new Date(2025, 0, day, hour, minute),
+    emojis: [],
+    type: 'call',
+    call: { event, medium, duration },
+  })
+
+  const messages = [
+    // Instagram: start and end notice of the same 10-minute call
+    call('Alice', 1, 20, 0, 'started', null),
+    call('Bob', 1, 20, 10, 'ended', 600),
+    call('Bob', 5, 9, 0, 'missed', 0, 'video'),
+    call('Bob', 20, 21, 0, 'ended', 1800, 'video'),
+    { ...message('Alice', 0), timestamp: new Date(2025, 2, 3, 12, 0), call: { event: 'ended', medium: 'audio', duration: 120 } },
+  ]
+
+  it('pairs start and end notices into one call', () => {
+    const calls = detectCalls(messages)
+
+    expect(calls).toHaveLength(4)
+    expect(calls[0]).toMatchObject({ initiator: 'Alice', medium: 'audio', duration: 600, missed: false })
+    expect(calls[1]).toMatchObject({ initiator: 'Bob', missed: true })
+  })
+
+  it('keeps unanswered start notices as calls of unknown length', () => {
+    const calls = detectCalls([call('Alice', 1, 20, 0, 'started', null), call('Bob', 1, 22, 0, 'ended', 60)])
+
+    expect(calls).toHaveLength(2)
+    expect(calls[0].duration).toBeNull()
+  })
+
+  it('summarizes talk time, lengths and callers', () => {
+    const stats = calculateCallStats(messages)
+
+    expect(stats).toMatchObject({
+      totalCalls: 4,
+      answeredCalls: 3,
+      missedCalls: 1,
+      totalDuration: 2520,
+      averageDuration: 840,
+      callsPerMonth: 4 / 3,
+    })
+    expect(stats.longestCall).toMatchObject({ initiator: 'Bob', duration: 1800, medium: 'video' })
+    expect(stats.byUser).toEqual({
+      Alice: { started: 2, missed: 0, duration: 720 },
+      Bob: { started: 2, missed: 1, duration: 1800 },
+    })
+  })
+
+  it('reports nothing for chats without calls', () => {
+    expect(calculateCallStats([message('Alice', 0)])).toMatchObject({
+      totalCalls: 0,
+      averageDuration: 0,
+      callsPerMonth: 0,
+      longestCall: null,
+    })
+  })
+
+  it('groups calls and talk time by month', () => {
+    expect(transformCallTimeline(messages)).toEqual({
+      labels: ['2025-01', '2025-03'],
+      answered: [2, 1],
+      missed: [1, 0],
+      minutes: [40, 2],
+    })
+  })
+})
+
+describe('chartTransforms - Sentiment', () => {
+  const text = (sender, month, content, emojis = []) => ({
+    sender,
+    content,
+    timestamp: new Date(2025, month, 10, 12),
+    emojis,
+    type: 'text',
+  })
+
+  const messages = [
+    text('Alice', 0, 'great news'),
+    text('Alice', 0, 'so sad'),
+    text('Bob', 0, 'miss you ❤️', ['❤️']),
+    text('Alice', 1, 'love you'),
+  ]
+
+  it('averages sentiment per person and month', () => {
+    expect(transformSentimentOverTime(messages)).toEqual({
+      labels: ['2025-01', '2025-02'],
+      datasets: [
+        { username: 'Alice', data: [0, 3] },
+        { username: 'Bob', data: [3, null] },
+      ],
+    })
+  })
+
+  it('reports affectionate terms per 100 messages', () => {
+    const { datasets } = transformSentimentOverTime(messages, 'affection')
+
+    expect(datasets[0].data).toEqual([0, 100])
+    expect(datasets[1].data).toEqual([200, null])
+  })
+})
+
+describe('chartTransforms - Comparison', () => {
+  const at = (sender, month, day, minutes, emojis = []) => ({
+    sender,
+    content: '',
+    timestamp: new Date(2025, month, day, 10, minutes),
+    emojis,
+    type: 'text',
+  })
+
+  // Spans Jan 30 to Feb 2: four days, two in each month
+  const partner = [
+    at('Alice', 0, 30, 0, ['😘']),
+    at('Bob', 0, 30, 6),
+    at('Alice', 1, 2, 0),
+    { ...at('Bob', 1, 2, 0), timestamp: new Date(2025, 1, 2, 10, 0, 30) },
+  ]
+
+  const friend = [at('Carol', 5, 1, 0)]
+
+  it('normalizes volume, emoji use and reply times', () => {
+    expect(calculateComparisonMetrics(partner)).toMatchObject({
+      messages: 4,
+      days: 4,
+      messagesPerDay: 1,
+      emojisPerHundred: 25,
+      medianReplyMinutes: 3.3,
+      dailyByMonth: [1, 1],
+      replyShare: [50, 0, 50, 0, 0, 0, 0],
+    })
+  })
+
+  it('profiles the hour of day as a share of messages', () => {
+    const { hourShare } = calculateComparisonMetrics(partner)
+
+    expect(hourShare).toHaveLength(24)
+    expect(hourShare[10]).toBe(100)
+  })
+
+  it('handles conversations without replies', () => {
+    expect(calculateComparisonMetrics(friend)).toMatchObject({
+      days: 1,
+      messagesPerDay: 1,
+      medianReplyMinutes: null,
+      replyShare: [0, 0, 0, 0, 0, 0, 0],
+    })
+    expect(calculateComparisonMetrics([])).toMatchObject({ messages: 0, days: 0, messagesPerDay: 0, dailyByMonth: [] })
+  })
+
+  it('handles very long conversations', () => {
+    const start = new Date(2020, 0, 1).getTime()
+    const long = Array.from({ length: 150000 }, (_, i) => ({
+      sender: i % 2 ? 'Bob' : 'Alice',
+      content: '',
+      timestamp: new Date(start + i * 10 * 60000),
+      emojis: [],
+      type: 'text',
+    }))
+
+    // One message every ten minutes: about 1041.7 days, touching 1042 calendar days
+    expect(calculateComparisonMetrics(long)).toMatchObject({ messages: 150000, days: 1042 })
+  })
+
+  it('overlays conversations aligned by month since they began', () => {
+    const comparison = transformConversationComparison([
+      { label: 'Partner', messages: partner },
+      { label: 'Best friend', messages: friend },
+    ])
+
+    expect(comparison.summary.map(metrics => metrics.label)).toEqual(['Partner', 'Best friend'])
+    expect(comparison.messagesPerDay).toEqual({
+      labels: ['Month 1', 'Month 2'],
+      datasets: [
+        { username: 'Partner', data: [1, 1] },
+        { username: 'Best friend', data: [1, null] },
+      ],
+    })
+    expect(comparison.hourOfDay.labels[10]).toBe('10:00')
+    expect(comparison.replyLatency.datasets[0]).toEqual({ username: 'Partner', data: [50, 0, 50, 0, 0, 0, 0] })
+  })
+})
@@ -0,0 +1,177 @@
+import { buildParsedChat } from '@/composables/useChatParser'
+
+/**
+ * Local library of parsed conversations
+ *
+ * Conversations are kept in this browser's IndexedDB and never leave the
+ * device. Two object stores keep the list cheap to read:
+ * - 'conversations': one summary per conversation
+ *   { id, title, participants, dateRange: { start, end }, totalMessages, size, savedAt }
+ * - 'messages': { id, messages } with the parsed messages
+ *
+ * Statistics aren't stored; they are recalculated when a conversation is opened.
+ */
+
+const DB_NAME = 'our-chat-stats'
+const DB_VERSION = 1
+const CONVERSATIONS = 'conversations'
+const MESSAGES = 'messages'
+
+let databasePromise = null
+
+/**
+ * Check whether this browser can keep a library
+ * @returns {boolean}
+ */
+export function isLibraryAvailable() {
+  return typeof indexedDB !== 'undefined'
+}
+
+/**
+ * Identify a conversation, so saving the same export again replaces it
+ * @param {Object} meta - Parsed chat meta
+ * @returns {string} Library id
+ */
+export function getConversationId(meta) {
+  const { start, end } = meta.dateRange || {}
+  return [
+    meta.conversationTitle,
+    [...meta.participants].sort().join(','),
+    start ? new Date(start).toISOString() : '',
+    end ? new Date(end).toISOString() : '',
+    meta.totalMessages,
+  ].join('|')
+}
+
+/**
+ * Summary shown in the library list
+ * @param {Object} parsedData - { meta, messages } as returned by the parsers
+ * @param {Object} options - { size } bytes of the original export, if known
+ * @returns {Object} Library entry
+ */
+export function createLibraryEntry({ meta }, { size = null } = {}) {
+  return {
+    id: getConversationId(meta),
+    title: meta.conversationTitle,
+    participants: [...meta.participants],
+    dateRange: { start: meta.dateRange?.start || null, end: meta.dateRange?.end || null },
+    totalMessages: meta.totalMessages,
+    size,
+    savedAt: new Date(),
+  }
+}
+
+/**
+ * Save a parsed conversation, replacing an earlier copy of it
+ * @param {Object} parsedData - { meta, messages }; must not be a reactive proxy
+ * @param {Object} options - { size } bytes of the original export, if known
+ * @returns {Promise<Object>} The library entry
+ */
+export async function saveConversation(parsedData, options = {}) {
+  const entry = createLibraryEntry(parsedData, options)
+  const db = await openDatabase()
+
+  const transaction = db.transaction([CONVERSATIONS, MESSAGES], 'readwrite')
+  transaction.objectStore(CONVERSATIONS).put(entry)
+  transaction.objectStore(MESSAGES).put({ id: entry.id, messages: parsedData.messages })
+  await transactionDone(transaction)
+
+  return entry
+}
+
+/**
+ * List saved conversations, most recently saved first
+ * @returns {Promise<Array>} Library entries
+ */
+export async function listConversations() {
+  const db = await openDatabase()
+  const entries = await requestResult(db.transaction(CONVERSATIONS).objectStore(CONVERSATIONS).getAll())
+  return entries.sort((a, b) => b.savedAt - a.savedAt)
+}
+
+/**
+ * Open a saved conversation
+ * @param {string} id - Library id
+ * @returns {Promise<Object>} { meta, messages, statistics }, like the chat parsers
+ */
+export async function loadConversation(id) {
+  const db = await openDatabase()
+  const transaction = db.transaction([CONVERSATIONS, MESSAGES])
+  const [entry, record] = await Promise.all([
+    requestResult(transaction.objectStore(CONVERSATIONS).get(id)),
+    requestResult(transaction.objectStore(MESSAGES).get(id)),
+  ])
+
+  if (!entry || !record) {
+    throw new Error('Saved conversation not found')
+  }
+
+  return buildParsedChat(entry.title, record.messages)
+}
+
+/**
+ * Remove a saved conversation
+ * @param {string} id - Library id
+ * @returns {Promise<void>}
+ */
+export async function deleteConversation(id) {
+  const db = await openDatabase()
+  const transaction = db.transaction([CONVERSATIONS, MESSAGES], 'readwrite')
+  transaction.objectStore(CONVERSATIONS).delete(id)
+  transaction.objectStore(MESSAGES).delete(id)
+  await transactionDone(transaction)
+}
+
+/**
+ * Helper: Open (and create or upgrade) the database once
+ */
+function openDatabase() {
+  if (!isLibraryAvailable()) {
+    return Promise.reject(new Error('This browser cannot store conversations'))
+  }
+
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(CONVERSATIONS)) {
+          db.createObjectStore(CONVERSATIONS, { keyPath: 'id' })
+        }
+        if (!db.objectStoreNames.contains(MESSAGES)) {
+          db.createObjectStore(MESSAGES, { keyPath: 'id' })
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).catch(error => {
+      // Let the next call try again
+      databasePromise = null
+      throw error
+    })
+  }
+
+  return databasePromise
+}
+
+/**
+ * Helper: Promise for an IndexedDB request
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Helper: Promise that settles when a transaction commits
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+  })
+}
@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll, vi } from 'vitest'
+import { createPinia, setActivePinia } from 'pinia'
+import { buildParsedChat } from '@/composables/useChatParser'
+import { useChatStore } from '@/stores/chatStore'
+import { useLibraryStore } from '@/stores/libraryStore'
+import {
+  isLibraryAvailable,
+  getConversationId,
+  createLibraryEntry,
+  saveConversation,
+  listConversations,
+  loadConversation,
+  deleteConversation,
+} from './chatLibrary'
+
+/**
+ * In-memory stand-in for the parts of IndexedDB the library uses.
+ * Requests and transactions complete asynchronously, like the real thing.
+ */
+function fakeIndexedDB() {
+  const stores = {}
+
+  function request(run) {
+    const req = {}
+    setTimeout(() => {
+      req.result = run()
+      req.onsuccess?.()
+    })
+    return req
+  }
+
+  const db = {
+    objectStoreNames: { contains: name => name in stores },
+    createObjectStore: (name) => { stores[name] = new Map() },
+    transaction: () => {
+      const transaction = {
+        objectStore: name => ({
+          put: value => request(() => stores[name].set(value.id, structuredClone(value))),
+          get: id => request(() => structuredClone(stores[name].get(id))),
+          getAll: () => request(() => [...stores[name].values()].map(value => structuredClone(value))),
+          delete: id => request(() => stores[name].delete(id)),
+        }),
+      }
+      setTimeout(() => setTimeout(() => transaction.oncomplete?.()))
+      return transaction
+    },
+  }
+
+  return {
+    stores,
+    open: () => {
+      const req = {}
+      setTimeout(() => {
+        req.result = db
+        req.onupgradeneeded?.()
+        req.onsuccess?.()
+      })
+      return req
+    },
+  }
+}
+
+function message(sender, content, date) {
+  return { sender, content, timestamp: date, emojis: [], type: 'text' }
+}
+
+const chat = buildParsedChat('Alice & Bob', [
+  message('Alice', 'Hi', new Date(2024, 0, 1, 9)),
+  message('Bob', 'Hello', new Date(2024, 0, 2, 10)),
+  message('Alice', 'Bye', new Date(2024, 1, 3, 11)),
+])
+
+const other = buildParsedChat('Carol', [message('Carol', 'Hey', new Date(2023, 5, 1))])
+
+describe('chatLibrary - Entries', () => {
+  it('identifies a conversation independent of participant order', () => {
+    const reordered = { ...chat.meta, participants: [...chat.meta.participants].reverse() }
+    expect(getConversationId(reordered)).toBe(getConversationId(chat.meta))
+    expect(getConversationId(other.meta)).not.toBe(getConversationId(chat.meta))
+  })
+
+  it('summarizes a conversation for the list', () => {
+    const entry = createLibraryEntry(chat, { size: 2048 })
+
+    expect(entry).toMatchObject({
+      title: 'Alice & Bob',
+      participants: ['Alice', 'Bob'],
+      dateRange: { start: new Date(2024, 0, 1, 9), end: new Date(2024, 1, 3, 11) },
+      totalMessages: 3,
+      size: 2048,
+    })
+    expect(entry.savedAt).toBeInstanceOf(Date)
+  })
+})
+
+describe('chatLibrary - IndexedDB', () => {
+  let indexedDB
+
+  beforeAll(() => {
+    indexedDB = fakeIndexedDB()
+    vi.stubGlobal('indexedDB', indexedDB)
+  })
+
+  afterAll(() => {
+    vi.unstubAllGlobals()
+  })
+
+  beforeEach(() => {
+    for (const store of Object.values(indexedDB.stores)) store.clear()
+  })
+
+  it('is available when the browser has IndexedDB', () => {
+    expect(isLibraryAvailable()).toBe(true)
+  })
+
+  it('saves, lists and reopens conversations', async () => {
+    await saveConversation(other)
+    const entry = await saveConversation(chat, { size: 1024 })
+
+    const entries = await listConversations()
+    expect(entries.map(saved => saved.title)).toContain('Alice & Bob')
+    expect(entries).toHaveLength(2)
+
+    const reopened = await loadConversation(entry.id)
+    expect(reopened.meta.conversationTitle).toBe('Alice & Bob')
+    expect(reopened.messages.map(m => m.content)).toEqual(['Hi', 'Hello', 'Bye'])
+    expect(reopened.messages[0].timestamp).toEqual(new Date(2024, 0, 1, 9))
+    expect(reopened.statistics.messageCountByUser).toEqual({ Alice: 2, Bob: 1 })
+  })
+
+  it('replaces an earlier copy of the same conversation', async () => {
+    await saveConversation(chat)
+    await saveConversation(chat, { size: 10 })
+
+    const entries = await listConversations()
+    expect(entries).toHaveLength(1)
+    expect(entries[0].size).toBe(10)
+  })
+
+  it('deletes conversations with their messages', async () => {
+    const entry = await saveConversation(chat)
+    await deleteConversation(entry.id)
+
+    expect(await listConversations()).toEqual([])
+    expect(indexedDB.stores.messages.size).toBe(0)
+    await expect(loadConversation(entry.id)).rejects.toThrow('Saved conversation not found')
+  })
+
+  it('saves the conversation on screen and keeps its size when saved again', async () => {
+    setActivePinia(createPinia())
+    const chatStore = useChatStore()
+    const libraryStore = useLibraryStore()
+    chatStore.setParsedData(chat)
+    chatStore.setDateFilter('last12Months')
+
+    await libraryStore.save(chatStore.parsedData, { size: 4096 })
+    expect(libraryStore.error).toBeNull()
+    expect(libraryStore.isSaved(chatStore.meta)).toBe(true)
+
+    chatStore.setParsedData(await libraryStore.open(libraryStore.entries[0].id))
+    await libraryStore.save(chatStore.parsedData)
+    expect(libraryStore.entries).toHaveLength(1)
+    expect(libraryStore.entries[0].size).toBe(4096)
+  })
+})
@@ -0,0 +1,294 @@
+import { buildParsedChat, readFileText } from '@/composables/useChatParser'
+import {
+  transformMessagesTimeline,
+  transformActivityByUserOverTime,
+  transformActivityByDayOfWeek,
+  transformActivityByHourOfDay,
+} from './chartTransforms'
+import { downloadBlob } from './imageExport'
+
+/**
+ * Data export and re-import
+ *
+ * JSON export schema (version 1):
+ * {
+ *   schema: 'our-chat-stats/export',    // always first, used to recognise the file
+ *   version: 1,                         // bumped on breaking changes
+ *   exportedAt: ISO 8601 string,
+ *   conversation: {
+ *     title: string,
+ *     participants: string[],
+ *     totalMessages: number,
+ *     dateRange: { start: ISO|null, end: ISO|null },
+ *     timeZone: string|null,            // IANA zone the series were bucketed in; null = exporting device
+ *   },
+ *   messages: [{                        // as shown on the dashboard: date filter and participant settings applied
+ *     sender, content, timestamp: ISO|null, emojis: string[], type,
+ *     // optional, only when present:
+ *     reactions: [{ emoji, reactor }], photos: string[], share: { link, text }, callDuration,
+ *     call: { event, medium, duration }, mediaKind, links: string[], timestampText,
+ *   }],
+ *   statistics: {                       // same fields as calculateStatistics, plus:
+ *     timeline: {
+ *       day: { labels, data }, month: { labels, data },
+ *       byUserMonth: { labels, datasets: [{ username, data }] },
+ *       dayOfWeek: { labels, data }, hourOfDay: { labels, data },
+ *     },
+ *   },
+ * }
+ *
+ * Importing the JSON rebuilds the dashboard from `messages`; statistics are
+ * recomputed, so files from older versions pick up newer statistics too.
+ *
+ * CSV exports are UTF-8 with a header row. Cells starting with =, +, -, @
+ * get a leading apostrophe so spreadsheets don't run them as formulas.
+ */
+
+export const EXPORT_SCHEMA = 'our-chat-stats/export'
+
+export const EXPORT_SCHEMA_VERSION = 1
+
+// Message CSV columns, in order
+const MESSAGE_COLUMNS = [
+  { name: 'timestamp', value: message => toISO(message.timestamp) || message.timestampText || '' },
+  { name: 'sender', value: message => message.sender },
+  { name: 'type', value: message => message.type },
+  { name: 'content', value: message => message.content },
+  { name: 'emojis', value: message => (message.emojis || []).join(' ') },
+  { name: 'media_kind', value: message => message.mediaKind || '' },
+  { name: 'links', value: message => (message.links || []).join(' ') },
+  { name: 'reactions', value: message => (message.reactions || []).map(({ emoji, reactor }) => `${emoji} ${reactor}`).join('; ') },
+  { name: 'call_event', value: message => message.call?.event || '' },
+  { name: 'call_medium', value: message => message.call?.medium || '' },
+  { name: 'call_duration_seconds', value: message => message.call?.duration ?? '' },
+]
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+/**
+ * Build the JSON export document
+ * @param {Object} chat - { title, messages, statistics, timeZone } as shown on the dashboard;
+ *   timeZone is a zone string, a per-sender function or null
+ * @returns {Object} Export document (see schema above)
+ */
+export function buildExport({ title = '', messages = [], statistics = {}, timeZone = null }) {
+  const options = { timeZone }
+
+  return {
+    schema: EXPORT_SCHEMA,
+    version: EXPORT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversation: {
+      title,
+      participants: [...new Set(messages.map(message => message.sender))],
+      totalMessages: messages.length,
+      dateRange: getDateRange(messages),
+      timeZone: typeof timeZone === 'string' ? timeZone : null,
+    },
+    messages: messages.map(serializeMessage),
+    statistics: {
+      ...statistics,
+      timeline: {
+        day: transformMessagesTimeline(messages, 'day', options),
+        month: transformMessagesTimeline(messages, 'month', options),
+        byUserMonth: transformActivityByUserOverTime(messages, 'month', options),
+        dayOfWeek: transformActivityByDayOfWeek(messages, options),
+        hourOfDay: transformActivityByHourOfDay(messages, options),
+      },
+    },
+  }
+}
+
+/**
+ * Messages as CSV
+ * @param {Array} messages - Array of message objects
+ * @returns {string} CSV text, one row per message
+ */
+export function messagesToCsv(messages) {
+  const rows = [MESSAGE_COLUMNS.map(column => column.name)]
+  for (const message of messages || []) {
+    rows.push(MESSAGE_COLUMNS.map(column => column.value(message)))
+  }
+  return toCsv(rows)
+}
+
+/**
+ * Aggregated statistics as one long CSV table
+ *
+ * Every figure is a row of table, key, user, value, which pivots easily in
+ * spreadsheets and loads as tidy data in notebooks.
+ *
+ * @param {Object} exported - Result of buildExport
+ * @returns {string} CSV text
+ */
+export function statisticsToCsv(exported) {
+  const { statistics } = exported
+  const rows = [['table', 'key', 'user', 'value']]
+
+  for (const [user, count] of Object.entries(statistics.messageCountByUser || {})) {
+    rows.push(['messages_by_user', '', user, count])
+  }
+  for (const { emoji, count } of statistics.topEmojis || []) {
+    rows.push(['emoji', emoji, '', count])
+  }
+  for (const [user, emojis] of Object.entries(statistics.emojiCountByUser || {})) {
+    for (const [emoji, count] of Object.entries(emojis)) {
+      rows.push(['emoji_by_user', emoji, user, count])
+    }
+  }
+  for (const [user, kinds] of Object.entries(statistics.mediaByUser || {})) {
+    for (const [kind, count] of Object.entries(kinds)) {
+      rows.push(['media_by_user', kind, user, count])
+    }
+  }
+
+  const { timeline } = statistics
+  for (const name of ['day', 'month', 'dayOfWeek', 'hourOfDay']) {
+    timeline[name].labels.forEach((label, index) => {
+      rows.push([`timeline_${toSnakeCase(name)}`, label, '', timeline[name].data[index]])
+    })
+  }
+  for (const { username, data } of timeline.byUserMonth.datasets) {
+    timeline.byUserMonth.labels.forEach((label, index) => {
+      rows.push(['timeline_month_by_user', label, username, data[index]])
+    })
+  }
+
+  return toCsv(rows)
+}
+
+/**
+ * Read an export document back into parsed chat data
+ * @param {string} text - JSON export
+ * @returns {Object} { meta, messages, statistics }, like the chat parsers
+ */
+export function parseExport(text) {
+  const data = JSON.parse(text)
+
+  if (data?.schema !== EXPORT_SCHEMA || !Array.isArray(data.messages)) {
+    throw new Error('Not an Our Chat Stats export')
+  }
+  if (!Number.isInteger(data.version) || data.version > EXPORT_SCHEMA_VERSION) {
+    throw new Error(`Export version ${data.version} is newer than this app supports (${EXPORT_SCHEMA_VERSION})`)
+  }
+
+  const messages = data.messages.map(deserializeMessage)
+  return buildParsedChat(data.conversation?.title || '', messages)
+}
+
+/**
+ * Parse an exported JSON file
+ * @param {File} file - Export file
+ * @param {Object} options - { onProgress } called with reading/parsing progress
+ * @returns {Promise<Object>} Parsed chat data
+ */
+export async function parseExportFile(file, { onProgress } = {}) {
+  try {
+    const text = await readFileText(file, onProgress)
+    onProgress?.({ stage: 'parsing', messagesFound: 0, fraction: 0 })
+    const parsed = parseExport(text)
+    onProgress?.({ stage: 'statistics', messagesFound: parsed.messages.length, fraction: 1 })
+    return parsed
+  } catch (error) {
+    console.error('Error parsing exported chat:', error)
+    throw new Error(`Failed to parse chat file: ${error.message}`)
+  }
+}
+
+/**
+ * Save text as a file
+ * @param {string} text - File content
+ * @param {string} fileName - Download name
+ * @param {string} mimeType - e.g. 'text/csv'
+ */
+export function downloadText(text, fileName, mimeType) {
+  downloadBlob(new Blob([text], { type: `${mimeType};charset=utf-8` }), fileName)
+}
+
+/**
+ * Our own JSON export format, for the parser registry
+ */
+export const chatStatsExportFormat = {
+  id: 'our-chat-stats-export',
+  label: 'Our Chat Stats export',
+  extensions: ['.json'],
+  mimeTypes: ['application/json'],
+  detect(file, head) {
+    return new RegExp(`"schema"\\s*:\\s*"${EXPORT_SCHEMA}"`).test(head)
+  },
+  parse: parseExportFile,
+}
+
+/**
+ * Helper: Message with JSON-safe timestamps
+ */
+function serializeMessage(message) {
+  return { ...message, timestamp: toISO(message.timestamp) }
+}
+
+/**
+ * Helper: Message with timestamps revived
+ */
+function deserializeMessage(message) {
+  return {
+    ...message,
+    emojis: Array.isArray(message.emojis) ? message.emojis : [],
+    timestamp: message.timestamp ? new Date(message.timestamp) : null,
+  }
+}
+
+/**
+ * Helper: First and last valid timestamp as ISO strings, in one pass
+ */
+function getDateRange(messages) {
+  let start = Infinity
+  let end = -Infinity
+  for (const message of messages) {
+    if (!isValidDate(message.timestamp)) continue
+    const time = new Date(message.timestamp).getTime()
+    if (time < start) start = time
+    if (time > end) end = time
+  }
+  return start <= end
+    ? { start: new Date(start).toISOString(), end: new Date(end).toISOString() }
+    : { start: null, end: null }
+}
+
+/**
+ * Helper: Check for a usable timestamp
+ */
+function isValidDate(value) {
+  return value !== null && value !== undefined && !isNaN(new Date(value))
+}
+
+/**
+ * Helper: ISO string for a timestamp, or null
+ */
+function toISO(value) {
+  return isValidDate(value) ? new Date(value).toISOString() : null
+}
+
+/**
+ * Helper: 'dayOfWeek' → 'day_of_week'
+ */
+function toSnakeCase(name) {
+  return name.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`)
+}
+
+/**
+ * Helper: Rows to RFC 4180 CSV
+ */
+function toCsv(rows) {
+  return rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n'
+}
+
+/**
+ * Helper: Quote a CSV cell when needed and defuse formulas
+ */
+function escapeCell(value) {
+  let text = value === null || value === undefined ? '' : String(value)
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
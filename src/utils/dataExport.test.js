@@ -0,0 +1,165 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { calculateStatistics } from '@/composables/useChatParser'
+import { parseChatFile } from './parserRegistry'
+import {
+  EXPORT_SCHEMA,
+  EXPORT_SCHEMA_VERSION,
+  buildExport,
+  messagesToCsv,
+  statisticsToCsv,
+  parseExport,
+} from './dataExport'
+
+const messages = [
+  { sender: 'Alice', content: 'Hi, "Bob" 😂', timestamp: new Date('2025-01-01T09:00:00Z'), emojis: ['😂'], type: 'text' },
+  {
+    sender: 'Bob',
+    content: 'https://example.com/a',
+    timestamp: new Date('2025-01-01T09:05:00Z'),
+    emojis: [],
+    type: 'text',
+    mediaKind: 'link',
+    links: ['https://example.com/a'],
+    reactions: [{ emoji: '❤️', reactor: 'Alice' }],
+  },
+  {
+    sender: 'Bob',
+    content: 'Video call ended',
+    timestamp: new Date('2025-02-03T20:00:00Z'),
+    emojis: [],
+    type: 'call',
+    call: { event: 'ended', medium: 'video', duration: 300 },
+  },
+]
+
+function exportOf(list) {
+  return buildExport({
+    title: 'Alice & Bob',
+    messages: list,
+    statistics: calculateStatistics(list, { timeZone: 'UTC' }),
+    timeZone: 'UTC',
+  })
+}
+
+function parseCsv(text) {
+  return text.trimEnd().split('\r\n')
+}
+
+afterEach(() => {
+  vi.restoreAllMocks()
+})
+
+describe('dataExport - Export Document', () => {
+  it('starts with the schema and version', () => {
+    const exported = exportOf(messages)
+
+    expect(Object.keys(exported).slice(0, 2)).toEqual(['schema', 'version'])
+    expect(exported.schema).toBe(EXPORT_SCHEMA)
+    expect(exported.version).toBe(EXPORT_SCHEMA_VERSION)
+  })
+
+  it('describes the conversation', () => {
+    expect(exportOf(messages).conversation).toEqual({
+      title: 'Alice & Bob',
+      participants: ['Alice', 'Bob'],
+      totalMessages: 3,
+      dateRange: { start: '2025-01-01T09:00:00.000Z', end: '2025-02-03T20:00:00.000Z' },
+      timeZone: 'UTC',
+    })
+  })
+
+  it('finds the date range of very long conversations', () => {
+    const start = Date.UTC(2020, 0, 1)
+    const long = Array.from({ length: 150000 }, (_, i) => ({
+      sender: i % 2 ? 'Bob' : 'Alice',
+      content: 'hi',
+      timestamp: new Date(start + i * 60000),
+    }))
+
+    expect(buildExport({ messages: long }).conversation.dateRange).toEqual({
+      start: '2020-01-01T00:00:00.000Z',
+      end: new Date(start + 149999 * 60000).toISOString(),
+    })
+  })
+
+  it('stores timestamps as ISO strings', () => {
+    const exported = exportOf(messages)
+    expect(exported.messages[0].timestamp).toBe('2025-01-01T09:00:00.000Z')
+    expect(exported.messages[2].call).toEqual({ event: 'ended', medium: 'video', duration: 300 })
+  })
+
+  it('adds timeline series to the statistics', () => {
+    const { statistics } = exportOf(messages)
+
+    expect(statistics.messageCountByUser).toEqual({ Alice: 1, Bob: 2 })
+    expect(statistics.timeline.month).toEqual({ labels: ['2025-01', '2025-02'], data: [2, 1] })
+    expect(statistics.timeline.byUserMonth.datasets).toContainEqual({ username: 'Bob', data: [1, 1] })
+    expect(statistics.timeline.hourOfDay.data[9]).toBe(2)
+  })
+})
+
+describe('dataExport - CSV', () => {
+  it('writes one row per message with a header', () => {
+    const rows = parseCsv(messagesToCsv(messages))
+
+    expect(rows[0]).toBe('timestamp,sender,type,content,emojis,media_kind,links,reactions,call_event,call_medium,call_duration_seconds')
+    expect(rows).toHaveLength(4)
+    expect(rows[2]).toBe('2025-01-01T09:05:00.000Z,Bob,text,https://example.com/a,,link,https://example.com/a,❤️ Alice,,,')
+    expect(rows[3]).toBe('2025-02-03T20:00:00.000Z,Bob,call,Video call ended,,,,,ended,video,300')
+  })
+
+  it('quotes commas, quotes and line breaks', () => {
+    const rows = messagesToCsv([{ ...messages[0], content: 'one,\n"two"' }])
+    expect(rows).toContain('"one,\n""two"""')
+    expect(parseCsv(messagesToCsv(messages))[1]).toContain('"Hi, ""Bob"" 😂"')
+  })
+
+  it('keeps spreadsheets from running cells as formulas', () => {
+    const rows = parseCsv(messagesToCsv([{ ...messages[0], sender: '@Alice', content: '=HYPERLINK("x")' }]))
+    expect(rows[1]).toBe(`2025-01-01T09:00:00.000Z,'@Alice,text,"'=HYPERLINK(""x"")",😂,,,,,,`)
+  })
+
+  it('writes statistics as table, key, user, value rows', () => {
+    const rows = parseCsv(statisticsToCsv(exportOf(messages)))
+
+    expect(rows[0]).toBe('table,key,user,value')
+    expect(rows).toContain('messages_by_user,,Bob,2')
+    expect(rows).toContain('emoji,😂,,1')
+    expect(rows).toContain('emoji_by_user,😂,Alice,1')
+    expect(rows).toContain('timeline_month,2025-02,,1')
+    expect(rows).toContain('timeline_day_of_week,Wednesday,,2')
+    expect(rows).toContain('timeline_month_by_user,2025-01,Alice,1')
+  })
+})
+
+describe('dataExport - Re-import', () => {
+  it('restores messages and statistics from an export', () => {
+    const restored = parseExport(JSON.stringify(exportOf(messages)))
+
+    expect(restored.meta.conversationTitle).toBe('Alice & Bob')
+    expect(restored.meta.participants).toEqual(['Alice', 'Bob'])
+    expect(restored.messages).toHaveLength(3)
+    expect(restored.messages[0].timestamp).toEqual(messages[0].timestamp)
+    expect(restored.messages[1].reactions).toEqual(messages[1].reactions)
+    expect(restored.statistics.messageCountByUser).toEqual({ Alice: 1, Bob: 2 })
+  })
+
+  it('is picked up by the parser registry ahead of Instagram JSON', async () => {
+    const file = new File([JSON.stringify(exportOf(messages))], 'alice-bob-export.json', { type: 'application/json' })
+    const restored = await parseChatFile(file)
+
+    expect(restored.messages.map(message => message.sender)).toEqual(['Alice', 'Bob', 'Bob'])
+  })
+
+  it('rejects exports from a newer version', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const newer = { ...exportOf(messages), version: EXPORT_SCHEMA_VERSION + 1 }
+    const file = new File([JSON.stringify(newer)], 'export.json', { type: 'application/json' })
+
+    await expect(parseChatFile(file)).rejects.toThrow(/Failed to parse chat file: Export version 2 is newer/)
+  })
+
+  it('rejects other JSON', () => {
+    expect(() => parseExport(JSON.stringify({ messages: [] }))).toThrow('Not an Our Chat Stats export')
+  })
+})
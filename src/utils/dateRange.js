@@ -0,0 +1,80 @@
+import { getZonedParts, fromZonedParts } from '@/utils/timezone'
+
+/**
+ * Date range presets for the global filter
+ *
+ * Presets are anchored to the conversation's last message rather than today,
+ * so "last 30 days" of an export from two years ago still shows something.
+ * Days start and end at midnight in the timezone the charts are counted in.
+ */
+export const DATE_RANGE_PRESETS = [
+  { id: 'all', label: 'All time' },
+  { id: 'last30', label: 'Last 30 days' },
+  { id: 'last12Months', label: 'Last 12 months' },
+  { id: 'custom', label: 'Custom' },
+]
+
+/**
+ * Turn a filter selection into concrete bounds
+ * @param {Object} filter - { preset, start: Date|null, end: Date|null }
+ * @param {Object|null} conversationRange - { start: Date, end: Date } of the whole conversation
+ * @param {string|null} timeZone - IANA timezone days are read in, or null for the browser's zone
+ * @returns {Object|null} { start: Date|null, end: Date|null } inclusive bounds, or null for no filtering
+ */
+export function resolveDateRange(filter, conversationRange, timeZone = null) {
+  const anchor = conversationRange?.end ? getZonedParts(conversationRange.end, timeZone) : null
+
+  switch (filter?.preset) {
+    case 'last30': {
+      if (!anchor) return null
+      return {
+        start: startOfDay({ ...anchor, day: anchor.day - 29 }, timeZone),
+        end: endOfDay(anchor, timeZone),
+      }
+    }
+    case 'last12Months': {
+      if (!anchor) return null
+      // The day after the last message, a year earlier (29 Feb rolls to 1 Mar first)
+      const next = new Date(Date.UTC(anchor.year, anchor.month - 1, anchor.day + 1))
+      const start = { year: next.getUTCFullYear() - 1, month: next.getUTCMonth() + 1, day: next.getUTCDate() }
+      return { start: startOfDay(start, timeZone), end: endOfDay(anchor, timeZone) }
+    }
+    case 'custom': {
+      if (!filter.start && !filter.end) return null
+      return {
+        start: filter.start ? startOfDay(getZonedParts(filter.start, timeZone), timeZone) : null,
+        end: filter.end ? endOfDay(getZonedParts(filter.end, timeZone), timeZone) : null,
+      }
+    }
+    default:
+      return null
+  }
+}
+
+/**
+ * Check whether a timestamp falls inside resolved bounds
+ * @param {Date|null} timestamp - Message timestamp
+ * @param {Object} range - { start: Date|null, end: Date|null }
+ * @returns {boolean}
+ */
+export function isInDateRange(timestamp, range) {
+  if (!timestamp || isNaN(timestamp)) return false
+  const time = new Date(timestamp).getTime()
+  if (range.start && time < range.start.getTime()) return false
+  if (range.end && time > range.end.getTime()) return false
+  return true
+}
+
+/**
+ * Helper: Midnight at the start of a calendar date in a timezone
+ */
+function startOfDay({ year, month, day }, timeZone) {
+  return fromZonedParts({ year, month, day }, timeZone)
+}
+
+/**
+ * Helper: Last millisecond of a calendar date in a timezone
+ */
+function endOfDay({ year, month, day }, timeZone) {
+  return new Date(startOfDay({ year, month, day: day + 1 }, timeZone).getTime() - 1)
+}
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest'
+import { resolveDateRange, isInDateRange } from './dateRange'
+
+const conversationRange = { start: new Date(2023, 4, 10), end: new Date(2024, 2, 15, 18, 30) }
+
+describe('dateRange - resolveDateRange', () => {
+  it('returns null when showing all time', () => {
+    expect(resolveDateRange({ preset: 'all' }, conversationRange)).toBeNull()
+  })
+
+  it('anchors presets to the last message', () => {
+    expect(resolveDateRange({ preset: 'last30' }, conversationRange)).toEqual({
+      start: new Date(2024, 1, 15),
+      end: new Date(2024, 2, 15, 23, 59, 59, 999),
+    })
+    expect(resolveDateRange({ preset: 'last12Months' }, conversationRange)).toEqual({
+      start: new Date(2023, 2, 16),
+      end: new Date(2024, 2, 15, 23, 59, 59, 999),
+    })
+  })
+
+  it('covers a full year even when the last message is early in January', () => {
+    const range = resolveDateRange({ preset: 'last12Months' }, { start: new Date(2022, 0, 1), end: new Date(2024, 0, 3) })
+    expect(range.start).toEqual(new Date(2023, 0, 4))
+
+    const leapDay = resolveDateRange({ preset: 'last12Months' }, { start: new Date(2022, 0, 1), end: new Date(2024, 1, 29) })
+    expect(leapDay.start).toEqual(new Date(2023, 2, 1))
+  })
+
+  it('draws day boundaries in the given timezone', () => {
+    // 15 March 2024 at 20:00 UTC is already 16 March in Tokyo
+    const range = { start: new Date(Date.UTC(2023, 4, 10)), end: new Date(Date.UTC(2024, 2, 15, 20)) }
+
+    expect(resolveDateRange({ preset: 'last30' }, range, 'Asia/Tokyo')).toEqual({
+      start: new Date(Date.UTC(2024, 1, 15, 15)),
+      end: new Date(Date.UTC(2024, 2, 16, 14, 59, 59, 999)),
+    })
+    expect(resolveDateRange({
+      preset: 'custom',
+      start: new Date(Date.UTC(2024, 0, 1, 12)),
+      end: new Date(Date.UTC(2024, 0, 31, 12)),
+    }, range, 'America/New_York')).toEqual({
+      start: new Date(Date.UTC(2024, 0, 1, 5)),
+      end: new Date(Date.UTC(2024, 1, 1, 4, 59, 59, 999)),
+    })
+  })
+
+  it('expands custom bounds to whole days and allows open ends', () => {
+    expect(resolveDateRange({
+      preset: 'custom',
+      start: new Date(2023, 5, 1, 15),
+      end: null,
+    }, conversationRange)).toEqual({ start: new Date(2023, 5, 1), end: null })
+    expect(resolveDateRange({ preset: 'custom', start: null, end: null }, conversationRange)).toBeNull()
+  })
+
+  it('ignores presets without a conversation', () => {
+    expect(resolveDateRange({ preset: 'last30' }, null)).toBeNull()
+  })
+})
+
+describe('dateRange - isInDateRange', () => {
+  const range = { start: new Date(2024, 0, 1), end: new Date(2024, 0, 31, 23, 59, 59, 999) }
+
+  it('includes both bounds', () => {
+    expect(isInDateRange(new Date(2024, 0, 1), range)).toBe(true)
+    expect(isInDateRange(new Date(2024, 0, 31, 23, 59), range)).toBe(true)
+    expect(isInDateRange(new Date(2024, 1, 1), range)).toBe(false)
+  })
+
+  it('excludes messages without a timestamp', () => {
+    expect(isInDateRange(null, range)).toBe(false)
+  })
+})
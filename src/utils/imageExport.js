@@ -0,0 +1,321 @@
+import { transformActivityByHourOfDay } from './chartTransforms'
+
+/**
+ * PNG export
+ *
+ * Charts and the summary card are drawn onto a <canvas> and saved through a
+ * local object URL, so nothing is uploaded anywhere.
+ *
+ * Drawing functions take a theme of resolved colors and fonts:
+ * { background, surface, border, primary, secondary, textPrimary, textSecondary, fontFamily, headingFontFamily }
+ */
+
+// Export resolution relative to CSS pixels, for sharp images on any screen
+const EXPORT_SCALE = 2
+
+const SUMMARY_CARD_WIDTH = 1200
+const SUMMARY_CARD_HEIGHT = 630
+
+// Participants listed on the summary card before "+N more"
+const SUMMARY_CARD_PARTICIPANTS = 4
+
+/**
+ * File name for an export
+ * @param {string} title - Chart, card or conversation title
+ * @param {string} extension - File extension without the dot
+ * @returns {string} e.g. 'messages-over-time-day.png'
+ */
+export function toFileName(title, extension = 'png') {
+  const slug = (title || 'chart')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+  return `${slug || 'chart'}.${extension}`
+}
+
+/**
+ * Save a canvas as a PNG file
+ * @param {HTMLCanvasElement} canvas - Canvas to save
+ * @param {string} fileName - Download name
+ * @returns {Promise<void>}
+ */
+export function downloadCanvas(canvas, fileName) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (!blob) {
+        reject(new Error('Failed to export image'))
+        return
+      }
+      downloadBlob(blob, fileName)
+      resolve()
+    }, 'image/png')
+  })
+}
+
+/**
+ * Save a blob through a local object URL
+ * @param {Blob} blob - File content
+ * @param {string} fileName - Download name
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Copy a canvas onto a solid background
+ *
+ * Chart.js draws on a transparent canvas, which shows up black or checkered
+ * in most image viewers.
+ *
+ * @param {HTMLCanvasElement} source - Canvas to copy
+ * @param {string} background - Fill color
+ * @returns {HTMLCanvasElement} New canvas of the same size
+ */
+export function withBackground(source, background) {
+  const canvas = document.createElement('canvas')
+  canvas.width = source.width
+  canvas.height = source.height
+
+  const ctx = canvas.getContext('2d')
+  ctx.fillStyle = background
+  ctx.fillRect(0, 0, canvas.width, canvas.height)
+  ctx.drawImage(source, 0, 0)
+
+  return canvas
+}
+
+/**
+ * Draw a grid of colored cells, for the heatmaps that aren't Chart.js charts
+ * @param {Object} grid - { title, columnLabels: string[], rows: [{ label, cells: Array<string|null> }], footer }
+ *   Cells are CSS colors; null leaves a gap
+ * @param {Object} theme - Resolved theme colors and fonts
+ * @returns {HTMLCanvasElement}
+ */
+export function renderGridImage({ title, columnLabels = [], rows, footer = '' }, theme) {
+  const cell = 16
+  const gap = 3
+  const padding = 24
+  const labelWidth = 48
+  const columns = Math.max(columnLabels.length, ...rows.map(row => row.cells.length))
+
+  const width = padding * 2 + labelWidth + columns * (cell + gap)
+  const height = padding * 2 + 40 + 20 + rows.length * (cell + gap) + (footer ? 32 : 0)
+
+  const { canvas, ctx } = createCanvas(width, height)
+  ctx.fillStyle = theme.surface
+  ctx.fillRect(0, 0, width, height)
+
+  ctx.textBaseline = 'top'
+  ctx.fillStyle = theme.textPrimary
+  ctx.font = `bold 18px ${theme.headingFontFamily}`
+  ctx.fillText(title, padding, padding)
+
+  const gridTop = padding + 40 + 20
+  const gridLeft = padding + labelWidth
+
+  ctx.font = `11px ${theme.fontFamily}`
+  ctx.fillStyle = theme.textSecondary
+  columnLabels.forEach((label, index) => {
+    if (label) ctx.fillText(label, gridLeft + index * (cell + gap), gridTop - 16)
+  })
+
+  rows.forEach((row, rowIndex) => {
+    const y = gridTop + rowIndex * (cell + gap)
+    ctx.fillStyle = theme.textSecondary
+    ctx.textBaseline = 'middle'
+    ctx.fillText(row.label, padding, y + cell / 2)
+
+    row.cells.forEach((color, column) => {
+      if (!color) return
+      ctx.fillStyle = color
+      ctx.beginPath()
+      ctx.roundRect(gridLeft + column * (cell + gap), y, cell, cell, 3)
+      ctx.fill()
+    })
+  })
+
+  if (footer) {
+    ctx.textBaseline = 'bottom'
+    ctx.fillStyle = theme.textSecondary
+    ctx.font = `12px ${theme.fontFamily}`
+    ctx.fillText(footer, padding, height - padding)
+  }
+
+  return canvas
+}
+
+/**
+ * Pick the key statistics shown on the summary card
+ * @param {Object} chat - { title, messages, messageCountByUser, topEmojis, dateRange: { start, end }, timeZone }
+ * @returns {Object} { title, totalMessages, dateRange, topEmoji: { emoji, count }|null,
+ *   mostActiveHour: string|null, participants: [{ name, count }] }
+ */
+export function buildSummary({ title = '', messages = [], messageCountByUser = {}, topEmojis = [], dateRange = null, timeZone = null }) {
+  const { labels, data } = transformActivityByHourOfDay(messages, { timeZone })
+  const busiest = data.length > 0 ? data.indexOf(Math.max(...data)) : -1
+
+  return {
+    title,
+    totalMessages: messages.length,
+    dateRange,
+    topEmoji: topEmojis[0] || null,
+    mostActiveHour: busiest >= 0 && data[busiest] > 0 ? labels[busiest] : null,
+    participants: Object.entries(messageCountByUser)
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count),
+  }
+}
+
+/**
+ * Draw the shareable summary card
+ * @param {Object} summary - Result of buildSummary
+ * @param {Object} theme - Resolved theme colors and fonts
+ * @returns {HTMLCanvasElement}
+ */
+export function renderSummaryCard(summary, theme) {
+  const width = SUMMARY_CARD_WIDTH
+  const height = SUMMARY_CARD_HEIGHT
+  const padding = 56
+  const { canvas, ctx } = createCanvas(width, height)
+
+  // Background and card
+  ctx.fillStyle = theme.background
+  ctx.fillRect(0, 0, width, height)
+  ctx.fillStyle = theme.surface
+  ctx.strokeStyle = theme.border
+  ctx.lineWidth = 2
+  ctx.beginPath()
+  ctx.roundRect(24, 24, width - 48, height - 48, 24)
+  ctx.fill()
+  ctx.stroke()
+
+  // Accent bar
+  ctx.fillStyle = theme.primary
+  ctx.fillRect(24, 24 + 24, 8, height - 96)
+
+  ctx.textBaseline = 'top'
+
+  // Header
+  ctx.fillStyle = theme.textSecondary
+  ctx.font = `20px ${theme.fontFamily}`
+  ctx.fillText('Our Chat Stats', padding, padding)
+
+  ctx.fillStyle = theme.textPrimary
+  ctx.font = `bold 44px ${theme.headingFontFamily}`
+  ctx.fillText(truncate(ctx, summary.title || 'Our conversation', width - padding * 2), padding, padding + 32)
+
+  if (summary.dateRange?.start && summary.dateRange?.end) {
+    ctx.fillStyle = theme.textSecondary
+    ctx.font = `20px ${theme.fontFamily}`
+    ctx.fillText(
+      `${formatCardDate(summary.dateRange.start)} – ${formatCardDate(summary.dateRange.end)}`,
+      padding,
+      padding + 88
+    )
+  }
+
+  // Total messages
+  const left = padding
+  const statsTop = 220
+  ctx.fillStyle = theme.primary
+  ctx.font = `bold 96px ${theme.headingFontFamily}`
+  ctx.fillText(summary.totalMessages.toLocaleString(), left, statsTop)
+  ctx.fillStyle = theme.textSecondary
+  ctx.font = `24px ${theme.fontFamily}`
+  ctx.fillText('messages', left, statsTop + 108)
+
+  // Top emoji and most active hour
+  const statLine = (label, value, y) => {
+    ctx.fillStyle = theme.textSecondary
+    ctx.font = `20px ${theme.fontFamily}`
+    ctx.fillText(label, left, y)
+    ctx.fillStyle = theme.textPrimary
+    ctx.font = `bold 32px ${theme.fontFamily}`
+    ctx.fillText(value, left, y + 28)
+  }
+  statLine('Top emoji', summary.topEmoji ? `${summary.topEmoji.emoji} × ${summary.topEmoji.count.toLocaleString()}` : '—', 380)
+  statLine('Most active hour', summary.mostActiveHour || '—', 460)
+
+  // Participants
+  const right = width / 2 + 40
+  ctx.fillStyle = theme.textSecondary
+  ctx.font = `20px ${theme.fontFamily}`
+  ctx.fillText('Participants', right, statsTop)
+
+  const shown = summary.participants.slice(0, SUMMARY_CARD_PARTICIPANTS)
+  const total = Math.max(summary.totalMessages, 1)
+  shown.forEach(({ name, count }, index) => {
+    const y = statsTop + 40 + index * 64
+    ctx.fillStyle = theme.textPrimary
+    ctx.font = `bold 26px ${theme.fontFamily}`
+    ctx.fillText(truncate(ctx, name, width - right - padding - 120), right, y)
+    ctx.fillStyle = theme.textSecondary
+    ctx.font = `22px ${theme.fontFamily}`
+    ctx.textAlign = 'right'
+    ctx.fillText(count.toLocaleString(), width - padding, y + 2)
+    ctx.textAlign = 'left'
+
+    // Share of messages
+    const barWidth = width - right - padding
+    ctx.fillStyle = theme.border
+    ctx.fillRect(right, y + 36, barWidth, 8)
+    ctx.fillStyle = index % 2 === 0 ? theme.primary : theme.secondary
+    ctx.fillRect(right, y + 36, barWidth * (count / total), 8)
+  })
+
+  const hidden = summary.participants.length - shown.length
+  if (hidden > 0) {
+    ctx.fillStyle = theme.textSecondary
+    ctx.font = `20px ${theme.fontFamily}`
+    ctx.fillText(`+${hidden} more`, right, statsTop + 40 + shown.length * 64)
+  }
+
+  // Footer
+  ctx.fillStyle = theme.textSecondary
+  ctx.font = `16px ${theme.fontFamily}`
+  ctx.textBaseline = 'bottom'
+  ctx.fillText('Made on-device: no chat data left the browser.', padding, height - padding + 8)
+
+  return canvas
+}
+
+/**
+ * Helper: Canvas sized in CSS pixels at export resolution
+ */
+function createCanvas(width, height) {
+  const canvas = document.createElement('canvas')
+  canvas.width = width * EXPORT_SCALE
+  canvas.height = height * EXPORT_SCALE
+
+  const ctx = canvas.getContext('2d')
+  ctx.scale(EXPORT_SCALE, EXPORT_SCALE)
+
+  return { canvas, ctx }
+}
+
+/**
+ * Helper: Shorten text with an ellipsis to fit a width
+ */
+function truncate(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text
+
+  let shortened = text
+  while (shortened.length > 1 && ctx.measureText(`${shortened}…`).width > maxWidth) {
+    shortened = shortened.slice(0, -1)
+  }
+  return `${shortened}…`
+}
+
+/**
+ * Helper: Date as shown on the summary card
+ */
+function formatCardDate(date) {
+  return new Date(date).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })
+}
@@ -0,0 +1,117 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { toFileName, buildSummary, renderSummaryCard, downloadCanvas } from './imageExport'
+
+const theme = {
+  background: '#fff5f7',
+  surface: '#ffffff',
+  border: '#f0d0d8',
+  primary: '#d6336c',
+  secondary: '#f783ac',
+  textPrimary: '#2b2b2b',
+  textSecondary: '#6b6b6b',
+  fontFamily: 'sans-serif',
+  headingFontFamily: 'serif',
+}
+
+/**
+ * Minimal 2D context that records the text drawn on it
+ */
+function fakeContext() {
+  const texts = []
+  const noop = () => {}
+  return {
+    texts,
+    fillText: (text) => texts.push(text),
+    measureText: (text) => ({ width: text.length * 10 }),
+    fillRect: noop,
+    roundRect: noop,
+    beginPath: noop,
+    fill: noop,
+    stroke: noop,
+    scale: noop,
+  }
+}
+
+afterEach(() => {
+  vi.restoreAllMocks()
+})
+
+describe('imageExport - File Names', () => {
+  it('turns titles into PNG file names', () => {
+    expect(toFileName('Messages Over Time (day)')).toBe('messages-over-time-day.png')
+    expect(toFileName('💌 Tone Over Time')).toBe('tone-over-time.png')
+    expect(toFileName('Café summary')).toBe('cafe-summary.png')
+    expect(toFileName('')).toBe('chart.png')
+  })
+
+  it('uses other extensions when asked', () => {
+    expect(toFileName('Alice messages', 'csv')).toBe('alice-messages.csv')
+  })
+})
+
+describe('imageExport - Summary Card', () => {
+  const at = (hour) => ({ sender: 'Alice', content: 'hi', timestamp: new Date(2025, 0, 1, hour), emojis: [], type: 'text' })
+
+  it('picks the key statistics', () => {
+    const summary = buildSummary({
+      title: 'Alice & Bob',
+      messages: [at(9), at(21), at(21)],
+      messageCountByUser: { Bob: 1, Alice: 2 },
+      topEmojis: [{ emoji: '❤️', count: 5 }, { emoji: '😂', count: 2 }],
+    })
+
+    expect(summary).toEqual({
+      title: 'Alice & Bob',
+      totalMessages: 3,
+      dateRange: null,
+      topEmoji: { emoji: '❤️', count: 5 },
+      mostActiveHour: '21:00',
+      participants: [{ name: 'Alice', count: 2 }, { name: 'Bob', count: 1 }],
+    })
+  })
+
+  it('copes with an empty conversation', () => {
+    expect(buildSummary({})).toMatchObject({ totalMessages: 0, topEmoji: null, mostActiveHour: null, participants: [] })
+  })
+
+  it('draws the statistics onto the card', () => {
+    const ctx = fakeContext()
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(ctx)
+
+    renderSummaryCard({
+      title: 'Alice & Bob',
+      totalMessages: 1234,
+      dateRange: null,
+      topEmoji: { emoji: '❤️', count: 5 },
+      mostActiveHour: '21:00',
+      participants: ['A', 'B', 'C', 'D', 'E'].map((name, index) => ({ name, count: 10 - index })),
+    }, theme)
+
+    expect(ctx.texts).toContain('Alice & Bob')
+    expect(ctx.texts).toContain((1234).toLocaleString())
+    expect(ctx.texts).toContain('❤️ × 5')
+    expect(ctx.texts).toContain('21:00')
+    expect(ctx.texts).toContain('+1 more')
+  })
+})
+
+describe('imageExport - Download', () => {
+  it('saves the canvas through a local object URL', async () => {
+    const canvas = { toBlob: (callback) => callback(new Blob(['png'], { type: 'image/png' })) }
+    const createObjectURL = vi.fn(() => 'blob:local')
+    const revokeObjectURL = vi.fn()
+    vi.stubGlobal('URL', { ...URL, createObjectURL, revokeObjectURL })
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+
+    await downloadCanvas(canvas, 'chart.png')
+
+    expect(click).toHaveBeenCalled()
+    expect(revokeObjectURL).toHaveBeenCalledWith('blob:local')
+    vi.unstubAllGlobals()
+  })
+
+  it('rejects when the canvas cannot be encoded', async () => {
+    await expect(downloadCanvas({ toBlob: (callback) => callback(null) }, 'chart.png'))
+      .rejects.toThrow('Failed to export image')
+  })
+})
@@ -0,0 +1,93 @@
+/**
+ * Media and shared-content classification
+ *
+ * Parsers tag messages with a `mediaKind` (one of MEDIA_KINDS) and the URLs
+ * they contain (`links`). The message `type` stays as it was, so text
+ * statistics keep working; a text message with a URL is still 'text'.
+ */
+
+/**
+ * Kinds of media, in display order
+ */
+export const MEDIA_KINDS = [
+  { id: 'photo', label: 'Photos', icon: '📷' },
+  { id: 'video', label: 'Videos', icon: '🎬' },
+  { id: 'voice', label: 'Voice notes', icon: '🎙️' },
+  { id: 'share', label: 'Posts & reels', icon: '🔁' },
+  { id: 'story', label: 'Story replies', icon: '📖' },
+  { id: 'gif', label: 'GIFs & stickers', icon: '🎞️' },
+  { id: 'link', label: 'Links', icon: '🔗' },
+]
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"']+/gi
+
+// Punctuation that ends a sentence rather than the URL
+const TRAILING_PUNCTUATION = /[.,;:!?)\]}'"]+$/
+
+const INSTAGRAM_POST = /^(?:www\.)?instagram\.com\/(?:[\w.]+\/)?(?:p|reels?|tv)\//i
+
+const INSTAGRAM_STORY = /^(?:www\.)?instagram\.com\/stories\//i
+
+// Story notices as Instagram writes them in English exports
+const STORY_PATTERN = /\b(replied to|reacted to|mentioned you in|mentioned .+ in) (your|their|his|her|[\w.]+'s) story\b/i
+
+/**
+ * Find URLs in message text
+ * @param {string} text - Message content
+ * @returns {string[]} URLs in order of appearance
+ */
+export function extractLinks(text) {
+  if (!text) return []
+  return (text.match(URL_PATTERN) || []).map(url => url.replace(TRAILING_PUNCTUATION, ''))
+}
+
+/**
+ * Domain of a URL, without "www."
+ * @param {string} url - Absolute URL
+ * @returns {string|null} e.g. 'youtube.com', or null for malformed URLs
+ */
+export function getLinkDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '')
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Classify a shared URL
+ * @param {string} url - Absolute URL
+ * @returns {string} 'share' for Instagram posts and reels, 'story' for stories, otherwise 'link'
+ */
+export function classifyLink(url) {
+  const path = (url || '').replace(/^https?:\/\//i, '')
+  if (INSTAGRAM_STORY.test(path)) return 'story'
+  if (INSTAGRAM_POST.test(path)) return 'share'
+  return 'link'
+}
+
+/**
+ * Check for Instagram's story reply and mention notices
+ * @param {string} content - Message content
+ * @returns {boolean}
+ */
+export function isStoryNotice(content) {
+  return STORY_PATTERN.test(content || '')
+}
+
+/**
+ * Classify a message from its text alone (links and story notices)
+ * @param {string} content - Message content
+ * @returns {Object} { mediaKind: string|null, links: string[] }
+ */
+export function classifyText(content) {
+  const links = extractLinks(content)
+
+  if (isStoryNotice(content)) {
+    return { mediaKind: 'story', links }
+  }
+  if (links.length > 0) {
+    return { mediaKind: classifyLink(links[0]), links }
+  }
+  return { mediaKind: null, links }
+}
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest'
+import { extractLinks, getLinkDomain, classifyLink, classifyText } from './mediaClassifier'
+
+describe('mediaClassifier - Links', () => {
+  it('finds URLs and trims sentence punctuation', () => {
+    expect(extractLinks('look https://youtu.be/abc, and (https://example.com/page).'))
+      .toEqual(['https://youtu.be/abc', 'https://example.com/page'])
+    expect(extractLinks('no links here')).toEqual([])
+    expect(extractLinks(null)).toEqual([])
+  })
+
+  it('reduces URLs to their domain', () => {
+    expect(getLinkDomain('https://www.YouTube.com/watch?v=1')).toBe('youtube.com')
+    expect(getLinkDomain('https://open.spotify.com/track/1')).toBe('open.spotify.com')
+    expect(getLinkDomain('not a url')).toBeNull()
+  })
+
+  it('tells Instagram posts, reels and stories from other links', () => {
+    expect(classifyLink('https://www.instagram.com/reel/abc/')).toBe('share')
+    expect(classifyLink('https://instagram.com/p/abc/')).toBe('share')
+    expect(classifyLink('https://www.instagram.com/someone/reel/abc/')).toBe('share')
+    expect(classifyLink('https://www.instagram.com/stories/someone/123/')).toBe('story')
+    expect(classifyLink('https://www.instagram.com/someone/')).toBe('link')
+    expect(classifyLink('https://example.com/p/abc')).toBe('link')
+  })
+})
+
+describe('mediaClassifier - classifyText', () => {
+  it('recognises story replies', () => {
+    expect(classifyText('Replied to your story').mediaKind).toBe('story')
+    expect(classifyText('Alice reacted to your story').mediaKind).toBe('story')
+    expect(classifyText('Mentioned you in their story').mediaKind).toBe('story')
+  })
+
+  it('classifies by the first link', () => {
+    expect(classifyText('lol https://www.instagram.com/reel/xyz/')).toEqual({
+      mediaKind: 'share',
+      links: ['https://www.instagram.com/reel/xyz/'],
+    })
+    expect(classifyText('read this https://news.example.com/a').mediaKind).toBe('link')
+  })
+
+  it('leaves plain text alone', () => {
+    expect(classifyText('see you at the story time event')).toEqual({ mediaKind: null, links: [] })
+  })
+})
@@ -0,0 +1,82 @@
+/**
+ * Message filtering for the message browser
+ *
+ * All criteria are optional and combined with AND:
+ * {
+ *   query: string,       // case-insensitive text search in content
+ *   sender: string,      // exact sender name
+ *   type: string,        // message type, e.g. 'text', 'image', 'call'
+ *   startDate: Date,     // inclusive lower bound
+ *   endDate: Date,       // inclusive upper bound
+ *   emoji: string,       // message contains this emoji
+ * }
+ */
+
+/**
+ * Filter messages by the given criteria
+ * @param {Array} messages - Array of message objects
+ * @param {Object} filters - Criteria (see above)
+ * @returns {Array} Matching messages in their original order
+ */
+export function filterMessages(messages, filters = {}) {
+  const { sender, type, startDate, endDate, emoji } = filters
+  const query = filters.query?.trim().toLocaleLowerCase()
+  const start = startDate ? startDate.getTime() : null
+  const end = endDate ? endDate.getTime() : null
+  const hasDateFilter = start !== null || end !== null
+
+  return (messages || []).filter(message => {
+    if (sender && message.sender !== sender) return false
+    if (type && message.type !== type) return false
+    if (emoji && !message.emojis?.includes(emoji)) return false
+
+    if (hasDateFilter) {
+      const time = message.timestamp ? new Date(message.timestamp).getTime() : NaN
+      if (isNaN(time)) return false
+      if (start !== null && time < start) return false
+      if (end !== null && time > end) return false
+    }
+
+    if (query && !(message.content || '').toLocaleLowerCase().includes(query)) return false
+
+    return true
+  })
+}
+
+/**
+ * Split text into plain and matching segments for highlighting
+ * @param {string} text - Text to display
+ * @param {string} query - Search text (case-insensitive)
+ * @returns {Array} Array of { text, match } in order
+ */
+export function highlightMatches(text, query) {
+  const needle = query?.trim()
+  if (!text || !needle) {
+    return text ? [{ text, match: false }] : []
+  }
+
+  const pattern = new RegExp(escapeRegExp(needle), 'giu')
+  const segments = []
+  let lastIndex = 0
+
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, match.index), match: false })
+    }
+    segments.push({ text: match[0], match: true })
+    lastIndex = match.index + match[0].length
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), match: false })
+  }
+
+  return segments
+}
+
+/**
+ * Helper: Escape a string for use inside a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest'
+import { filterMessages, highlightMatches } from './messageFilters'
+
+function message(sender, content, day, { type = 'text', emojis = [] } = {}) {
+  return { sender, content, timestamp: new Date(2025, 9, day, 12), emojis, type }
+}
+
+const messages = [
+  message('Alice', 'Pizza tonight? 🍕', 1, { emojis: ['🍕'] }),
+  message('Bob', 'Sure, PIZZA it is', 2),
+  message('Alice', '', 3, { type: 'image' }),
+  message('Bob', 'Missed voice call', 4, { type: 'call' }),
+  { ...message('Alice', 'pizza with no date', 5), timestamp: null },
+]
+
+describe('messageFilters - filterMessages', () => {
+  it('returns everything without filters', () => {
+    expect(filterMessages(messages)).toHaveLength(5)
+  })
+
+  it('searches content case-insensitively', () => {
+    expect(filterMessages(messages, { query: '  pizza ' }).map(m => m.sender)).toEqual(['Alice', 'Bob', 'Alice'])
+  })
+
+  it('filters by sender, type and emoji', () => {
+    expect(filterMessages(messages, { sender: 'Bob' })).toHaveLength(2)
+    expect(filterMessages(messages, { type: 'call' })[0].content).toBe('Missed voice call')
+    expect(filterMessages(messages, { emoji: '🍕' })).toEqual([messages[0]])
+  })
+
+  it('filters by an inclusive date range and drops undated messages', () => {
+    const result = filterMessages(messages, {
+      startDate: new Date(2025, 9, 2),
+      endDate: new Date(2025, 9, 3, 23, 59, 59),
+    })
+
+    expect(result.map(m => m.type)).toEqual(['text', 'image'])
+    expect(filterMessages(messages, { startDate: new Date(2025, 0, 1) })).toHaveLength(4)
+  })
+
+  it('combines criteria', () => {
+    expect(filterMessages(messages, { query: 'pizza', sender: 'Bob' })).toEqual([messages[1]])
+  })
+})
+
+describe('messageFilters - highlightMatches', () => {
+  it('splits text around every match, keeping original case', () => {
+    expect(highlightMatches('Pizza? pizza!', 'PIZZA')).toEqual([
+      { text: 'Pizza', match: true },
+      { text: '? ', match: false },
+      { text: 'pizza', match: true },
+      { text: '!', match: false },
+    ])
+  })
+
+  it('treats the query literally', () => {
+    expect(highlightMatches('costs $5 (maybe)', '(maybe)')).toEqual([
+      { text: 'costs $5 ', match: false },
+      { text: '(maybe)', match: true },
+    ])
+  })
+
+  it('returns the whole text when there is no query', () => {
+    expect(highlightMatches('hello', '')).toEqual([{ text: 'hello', match: false }])
+    expect(highlightMatches('', 'x')).toEqual([])
+  })
+})
@@ -0,0 +1,213 @@
+import { instagramHtmlFormat, instagramJsonFormat, mergeParsedChats } from '@/composables/useChatParser'
+import { whatsAppTextFormat } from '@/composables/useWhatsAppParser'
+import { chatStatsExportFormat } from '@/utils/dataExport'
+
+/**
+ * Parser registry
+ *
+ * Every supported export format registers a descriptor:
+ * {
+ *   id: string,              // unique identifier, e.g. 'instagram-html'
+ *   label: string,           // human-readable name shown to users
+ *   extensions: string[],    // accepted file extensions, e.g. ['.html', '.htm']
+ *   mimeTypes: string[],     // accepted MIME types, e.g. ['text/html']
+ *   detect(file, head),      // true if the file is in this format
+ *   parse(file, options),    // Promise<{ meta, messages, statistics }>, options.onProgress, options.locale
+ *   newestFirst: boolean,    // optional: the file lists messages newest first (Instagram)
+ * }
+ *
+ * The upload flow reads the first HEAD_SIZE bytes of a file and hands them to
+ * each detector in registration order. The first match parses the file.
+ * Results always come back oldest first, so messages sharing a timestamp keep
+ * the order they were sent in.
+ */
+
+// Enough to get past Instagram's inline <style> block to the first message
+const HEAD_SIZE = 64 * 1024
+
+// Share of a file's progress bar spent reading bytes; the rest is parsing
+const READ_WEIGHT = 0.3
+
+const formats = []
+
+/**
+ * Error thrown when no registered format recognises a file
+ */
+export class UnrecognizedFormatError extends Error {
+  constructor(fileName, supportedFormats) {
+    const list = supportedFormats.map(format => format.label).join(', ')
+    super(`Unrecognized format: "${fileName}" is not a supported chat export. Supported formats: ${list}`)
+    this.name = 'UnrecognizedFormatError'
+    this.fileName = fileName
+    this.supportedFormats = supportedFormats
+  }
+}
+
+/**
+ * Register a chat export format
+ * @param {Object} format - Format descriptor (see above)
+ */
+export function registerParser(format) {
+  if (!format?.id || typeof format.detect !== 'function' || typeof format.parse !== 'function') {
+    throw new Error('Parser format needs an id, a detect(file, head) and a parse(file) function')
+  }
+  if (formats.some(existing => existing.id === format.id)) {
+    throw new Error(`Parser format "${format.id}" is already registered`)
+  }
+  formats.push(format)
+}
+
+/**
+ * Remove a registered format
+ * @param {string} id - Format id
+ */
+export function unregisterParser(id) {
+  const index = formats.findIndex(format => format.id === id)
+  if (index !== -1) {
+    formats.splice(index, 1)
+  }
+}
+
+/**
+ * List registered formats for display
+ * @returns {Array} Array of { id, label, extensions }
+ */
+export function getSupportedFormats() {
+  return formats.map(({ id, label, extensions = [] }) => ({ id, label, extensions }))
+}
+
+/**
+ * Collect every accepted extension and MIME type (for <input accept>)
+ * @returns {string[]} e.g. ['.html', '.htm', 'text/html', '.json', ...]
+ */
+export function getAcceptedFileTypes() {
+  const types = formats.flatMap(format => [...(format.extensions || []), ...(format.mimeTypes || [])])
+  return [...new Set(types)]
+}
+
+/**
+ * Check whether a file's name or MIME type belongs to any registered format
+ * @param {File} file - Selected file
+ * @returns {boolean}
+ */
+export function isAcceptedFile(file) {
+  const name = file.name.toLowerCase()
+  return formats.some(format =>
+    (format.extensions || []).some(extension => name.endsWith(extension)) ||
+    (format.mimeTypes || []).includes(file.type)
+  )
+}
+
+/**
+ * Find the format that recognises a file
+ * @param {File} file - File to inspect
+ * @returns {Promise<Object|null>} Matching format descriptor, or null
+ */
+export async function detectParser(file) {
+  const head = await file.slice(0, HEAD_SIZE).text()
+
+  for (const format of formats) {
+    try {
+      if (format.detect(file, head)) {
+        return format
+      }
+    } catch (error) {
+      console.warn(`Format detection failed for ${format.id}:`, error)
+    }
+  }
+
+  return null
+}
+
+/**
+ * Detect a file's format and parse it
+ * @param {File} file - Chat export file
+ * @param {Object} options - Passed through to the format's parse function
+ * @returns {Promise<Object>} Parsed chat data
+ * @throws {UnrecognizedFormatError} If no registered format matches
+ */
+export async function parseChatFile(file, options = {}) {
+  const format = await detectParser(file)
+
+  if (!format) {
+    throw new UnrecognizedFormatError(file.name, getSupportedFormats())
+  }
+
+  const result = await format.parse(file, options)
+  return format.newestFirst ? { ...result, messages: [...result.messages].reverse() } : result
+}
+
+/**
+ * Parse one or more files of a conversation and merge them
+ *
+ * Progress is reported across all files as:
+ * { stage, fileName, fileIndex, fileCount, bytesRead, totalBytes, messagesFound, percent }
+ *
+ * @param {File[]} files - Chat export files (e.g. message_1.html, message_2.html)
+ * @param {Object} options - { onProgress, locale } (locale: timestamp language, 'auto' by default)
+ * @returns {Promise<Object>} Merged chat data
+ */
+export async function parseChatFiles(files, { onProgress, locale = 'auto' } = {}) {
+  const totalBytes = files.reduce((sum, file) => sum + file.size, 0)
+  const results = []
+  let bytesBefore = 0
+  let messagesBefore = 0
+
+  for (const [fileIndex, file] of files.entries()) {
+    let bytesRead = 0
+    let messagesFound = 0
+
+    const handleProgress = ({ stage, bytesRead: fileBytes, fraction, messagesFound: fileMessages }) => {
+      if (stage === 'reading') {
+        bytesRead = fileBytes
+      } else {
+        bytesRead = file.size
+        messagesFound = fileMessages
+      }
+
+      const readFraction = file.size > 0 ? bytesRead / file.size : 1
+      const fileFraction = stage === 'reading'
+        ? READ_WEIGHT * readFraction
+        : READ_WEIGHT + (1 - READ_WEIGHT) * fraction
+
+      onProgress?.({
+        stage,
+        fileName: file.name,
+        fileIndex,
+        fileCount: files.length,
+        bytesRead: bytesBefore + bytesRead,
+        totalBytes,
+        messagesFound: messagesBefore + messagesFound,
+        percent: Math.min(99, Math.floor(((fileIndex + fileFraction) / files.length) * 100)),
+      })
+    }
+
+    const result = await parseChatFile(file, { onProgress: onProgress && handleProgress, locale })
+    results.push(result)
+    bytesBefore += file.size
+    messagesBefore += result.messages.length
+  }
+
+  // Combine split exports into one chronological conversation
+  const merged = mergeParsedChats(results)
+
+  onProgress?.({
+    stage: 'done',
+    fileName: files.at(-1)?.name || '',
+    fileIndex: files.length - 1,
+    fileCount: files.length,
+    bytesRead: totalBytes,
+    totalBytes,
+    messagesFound: merged.messages.length,
+    percent: 100,
+  })
+
+  return merged
+}
+
+// Built-in formats, checked in this order
+registerParser(instagramHtmlFormat)
+// Before Instagram JSON: our exports also have "participants" and "messages"
+registerParser(chatStatsExportFormat)
+registerParser(instagramJsonFormat)
+registerParser(whatsAppTextFormat)
@@ -0,0 +1,147 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import {
+  registerParser,
+  unregisterParser,
+  detectParser,
+  parseChatFile,
+  parseChatFiles,
+  getSupportedFormats,
+  getAcceptedFileTypes,
+  isAcceptedFile,
+  UnrecognizedFormatError,
+} from './parserRegistry'
+
+const instagramHtml = `<html><head><title>Alice</title></head><body>
+<div class="pam _3-95 _2ph- _a6-g uiBoxWhite noborder">
+  <h2 class="_3-95 _2pim _a6-h _a6-i">Alice</h2>
+  <div class="_3-95 _a6-p"><div><div></div><div>Hi there</div></div></div>
+  <div class="_3-94 _a6-o">Oct 16, 2025 5:28 am</div>
+</div>
+</body></html>`
+
+const instagramJson = JSON.stringify({
+  participants: [{ name: 'Alice' }],
+  messages: [{ sender_name: 'Alice', timestamp_ms: 1760592480000, content: 'Hi there' }],
+  title: 'Alice',
+})
+
+function instagramBlock(sender, text) {
+  return `<div class="pam _3-95 _2ph- _a6-g uiBoxWhite noborder">
+  <h2 class="_3-95 _2pim _a6-h _a6-i">${sender}</h2>
+  <div class="_3-95 _a6-p"><div><div></div><div>${text}</div></div></div>
+  <div class="_3-94 _a6-o">Oct 16, 2025 5:28 am</div>
+</div>`
+}
+
+const whatsAppText = '\n31/12/2021, 23:59 - Alice: Hi there\n'
+
+describe('parserRegistry - Detection', () => {
+  it('detects Instagram HTML exports', async () => {
+    const file = new File([instagramHtml], 'message_1.html', { type: 'text/html' })
+    expect((await detectParser(file)).id).toBe('instagram-html')
+  })
+
+  it('detects Instagram JSON exports', async () => {
+    const file = new File([instagramJson], 'message_1.json', { type: 'application/json' })
+    expect((await detectParser(file)).id).toBe('instagram-json')
+  })
+
+  it('detects WhatsApp text exports', async () => {
+    const file = new File([whatsAppText], 'WhatsApp Chat with Alice.txt', { type: 'text/plain' })
+    expect((await detectParser(file)).id).toBe('whatsapp-txt')
+  })
+
+  it('detects by content rather than by file name', async () => {
+    const file = new File([whatsAppText], 'renamed.html', { type: 'text/html' })
+    expect((await detectParser(file)).id).toBe('whatsapp-txt')
+  })
+
+  it('returns null for unrelated files', async () => {
+    const file = new File(['<html><body>Not a chat</body></html>'], 'page.html', { type: 'text/html' })
+    expect(await detectParser(file)).toBeNull()
+  })
+})
+
+describe('parserRegistry - Parsing', () => {
+  it('parses a file with the detected parser', async () => {
+    const file = new File([whatsAppText], 'WhatsApp Chat with Alice.txt', { type: 'text/plain' })
+    const result = await parseChatFile(file)
+
+    expect(result.messages).toHaveLength(1)
+    expect(result.messages[0].content).toBe('Hi there')
+  })
+
+  it('returns Instagram messages oldest first, keeping same-minute order', async () => {
+    // Instagram lists the newest message first
+    const html = instagramHtml.replace(/<div class="pam[\s\S]*<\/div>\n<\/body>/, [
+      instagramBlock('Bob', 'fine thanks'),
+      instagramBlock('Alice', 'how are you?'),
+      instagramBlock('Alice', 'hi'),
+    ].join('\n') + '\n</body>')
+    const file = new File([html], 'message_1.html', { type: 'text/html' })
+
+    const { messages } = await parseChatFiles([file])
+
+    expect(messages.map(m => `${m.sender}: ${m.content}`)).toEqual(['Alice: hi', 'Alice: how are you?', 'Bob: fine thanks'])
+  })
+
+  it('throws an UnrecognizedFormatError listing supported formats', async () => {
+    const file = new File(['{"some": "data"}'], 'data.json', { type: 'application/json' })
+
+    const error = await parseChatFile(file).catch(e => e)
+
+    expect(error).toBeInstanceOf(UnrecognizedFormatError)
+    expect(error.message).toContain('Unrecognized format')
+    expect(error.message).toContain('Instagram HTML')
+    expect(error.message).toContain('Instagram JSON')
+    expect(error.message).toContain('WhatsApp text')
+  })
+})
+
+describe('parserRegistry - Registration', () => {
+  const customFormat = {
+    id: 'custom-csv',
+    label: 'Custom CSV',
+    extensions: ['.csv'],
+    mimeTypes: ['text/csv'],
+    detect: (file, head) => head.startsWith('sender,content'),
+    parse: async () => ({ meta: {}, messages: [], statistics: {} }),
+  }
+
+  afterEach(() => {
+    unregisterParser('custom-csv')
+  })
+
+  it('lists built-in formats', () => {
+    expect(getSupportedFormats().map(format => format.id)).toEqual([
+      'instagram-html',
+      'our-chat-stats-export',
+      'instagram-json',
+      'whatsapp-txt',
+    ])
+  })
+
+  it('picks up newly registered formats everywhere', async () => {
+    registerParser(customFormat)
+
+    const file = new File(['sender,content\nAlice,Hi'], 'chat.csv', { type: 'text/csv' })
+
+    expect(getSupportedFormats().map(format => format.id)).toContain('custom-csv')
+    expect(getAcceptedFileTypes()).toContain('.csv')
+    expect(isAcceptedFile(file)).toBe(true)
+    expect((await detectParser(file)).id).toBe('custom-csv')
+  })
+
+  it('rejects duplicate and incomplete registrations', () => {
+    registerParser(customFormat)
+
+    expect(() => registerParser(customFormat)).toThrow('already registered')
+    expect(() => registerParser({ id: 'broken' })).toThrow('detect(file, head)')
+  })
+
+  it('accepts files by extension or MIME type', () => {
+    expect(isAcceptedFile(new File(['x'], 'chat.HTML'))).toBe(true)
+    expect(isAcceptedFile(new File(['x'], 'chat', { type: 'application/json' }))).toBe(true)
+    expect(isAcceptedFile(new File(['x'], 'script.js', { type: 'application/javascript' }))).toBe(false)
+  })
+})
@@ -0,0 +1,128 @@
+/**
+ * Participant identity settings
+ *
+ * Lets users fix up sender names that exports split across several
+ * identities (e.g. "Instagram User" for a deactivated account):
+ * {
+ *   aliases: { [senderName]: targetName },   // merge senderName into targetName
+ *   displayNames: { [name]: displayName },   // rename an identity
+ *   excluded: string[],                      // identities to leave out entirely
+ *   timeZones: { [name]: timeZone },         // IANA home timezone of an identity
+ * }
+ * Names in displayNames, excluded and timeZones refer to the identity after merging.
+ */
+
+// Guards against alias cycles (a -> b -> a) in hand-edited settings
+const MAX_ALIAS_DEPTH = 10
+
+/**
+ * Settings that leave every participant untouched
+ * @returns {Object} Empty participant settings
+ */
+export function createParticipantSettings() {
+  return { aliases: {}, displayNames: {}, excluded: [], timeZones: {} }
+}
+
+/**
+ * Check whether settings change anything
+ * @param {Object} settings - Participant settings
+ * @returns {boolean}
+ */
+export function hasParticipantSettings(settings) {
+  return Boolean(
+    settings &&
+    (Object.keys(settings.aliases || {}).length > 0 ||
+      Object.keys(settings.displayNames || {}).length > 0 ||
+      (settings.excluded || []).length > 0 ||
+      Object.keys(settings.timeZones || {}).length > 0)
+  )
+}
+
+/**
+ * Follow merges from a sender name to the identity it belongs to
+ * @param {string} name - Sender name as it appears in the export
+ * @param {Object} settings - Participant settings
+ * @returns {string} Identity name (before renaming)
+ */
+export function resolveIdentity(name, settings) {
+  let identity = name
+  for (let depth = 0; depth < MAX_ALIAS_DEPTH && settings?.aliases?.[identity]; depth++) {
+    identity = settings.aliases[identity]
+  }
+  return identity
+}
+
+/**
+ * Map a sender name to the name shown in statistics
+ * @param {string} name - Sender name as it appears in the export
+ * @param {Object} settings - Participant settings
+ * @returns {string|null} Display name, or null if the participant is excluded
+ */
+export function resolveParticipant(name, settings) {
+  const identity = resolveIdentity(name, settings)
+  if (settings?.excluded?.includes(identity)) {
+    return null
+  }
+  return settings?.displayNames?.[identity] || identity
+}
+
+/**
+ * Home timezones keyed by the names shown in statistics
+ * @param {string[]} names - Sender names as they appear in the export
+ * @param {Object} settings - Participant settings
+ * @returns {Object} { [displayName]: timeZone }
+ */
+export function getHomeTimeZones(names, settings) {
+  const timeZones = {}
+  for (const name of names) {
+    const timeZone = settings?.timeZones?.[resolveIdentity(name, settings)]
+    const displayName = resolveParticipant(name, settings)
+    if (timeZone && displayName !== null) {
+      timeZones[displayName] = timeZone
+    }
+  }
+  return timeZones
+}
+
+/**
+ * Apply participant settings to messages
+ *
+ * Senders and reactors are renamed, messages from excluded participants are
+ * dropped, and so are reactions they gave.
+ *
+ * @param {Array} messages - Array of message objects
+ * @param {Object} settings - Participant settings
+ * @returns {Array} New array of messages (the input is left unchanged)
+ */
+export function applyParticipantSettings(messages, settings) {
+  if (!hasParticipantSettings(settings)) {
+    return messages
+  }
+
+  const cache = new Map()
+  const resolve = name => {
+    if (!cache.has(name)) {
+      cache.set(name, resolveParticipant(name, settings))
+    }
+    return cache.get(name)
+  }
+
+  const result = []
+
+  for (const message of messages) {
+    const sender = resolve(message.sender)
+    if (sender === null) continue
+
+    const mapped = { ...message, sender }
+
+    if (message.reactions) {
+      mapped.reactions = message.reactions
+        .map(reaction => ({ ...reaction, reactor: resolve(reaction.reactor) }))
+        .filter(reaction => reaction.reactor !== null)
+    }
+
+    result.push(mapped)
+  }
+
+  return result
+}
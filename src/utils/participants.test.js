@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest'
+import {
+  createParticipantSettings,
+  hasParticipantSettings,
+  resolveParticipant,
+  applyParticipantSettings,
+} from './participants'
+
+function message(sender, content, reactions) {
+  return { sender, content, timestamp: new Date(2025, 9, 16), emojis: [], type: 'text', reactions }
+}
+
+describe('participants - resolveParticipant', () => {
+  const settings = {
+    aliases: { 'Instagram User': 'alice_old', alice_old: 'Alice' },
+    displayNames: { Alice: 'Ali' },
+    excluded: ['Bot'],
+  }
+
+  it('follows merges and applies the display name', () => {
+    expect(resolveParticipant('Instagram User', settings)).toBe('Ali')
+    expect(resolveParticipant('Alice', settings)).toBe('Ali')
+  })
+
+  it('returns null for excluded participants', () => {
+    expect(resolveParticipant('Bot', settings)).toBeNull()
+  })
+
+  it('survives alias cycles', () => {
+    expect(resolveParticipant('a', { aliases: { a: 'b', b: 'a' } })).toMatch(/^[ab]$/)
+  })
+})
+
+describe('participants - applyParticipantSettings', () => {
+  const messages = [
+    message('Alice', 'Hi', [{ emoji: '❤️', reactor: 'Instagram User' }, { emoji: '👍', reactor: 'Bot' }]),
+    message('Instagram User', 'Old account'),
+    message('Bot', 'Beep'),
+  ]
+
+  it('renames senders and reactors and drops excluded participants', () => {
+    const result = applyParticipantSettings(messages, {
+      aliases: { 'Instagram User': 'Alice' },
+      displayNames: {},
+      excluded: ['Bot'],
+    })
+
+    expect(result.map(m => m.sender)).toEqual(['Alice', 'Alice'])
+    expect(result[0].reactions).toEqual([{ emoji: '❤️', reactor: 'Alice' }])
+    expect(messages[1].sender).toBe('Instagram User') // input untouched
+  })
+
+  it('returns the same array when there is nothing to apply', () => {
+    const settings = createParticipantSettings()
+
+    expect(hasParticipantSettings(settings)).toBe(false)
+    expect(applyParticipantSettings(messages, settings)).toBe(messages)
+  })
+})
@@ -0,0 +1,206 @@
+import { tokenize } from './textAnalytics'
+
+/**
+ * Offline sentiment and affection scoring
+ *
+ * A small lexicon approach that runs entirely in the browser: each word and
+ * emoji has a score from -3 (very negative) to +3 (very positive), and a
+ * message's sentiment is the sum. Negations ("not", "don't", "never") flip
+ * and soften the next few words, so "not bad" reads as mildly positive.
+ *
+ * Affection is counted separately: how often a message uses a term from a
+ * configurable list of pet names, "ily", "miss you", hearts and the like.
+ * Only messages of type 'text' are scored, like the word statistics.
+ */
+
+// Word scores, AFINN-style (-3..+3)
+const WORD_SCORES = {
+  // Positive
+  love: 3, loved: 3, lovely: 3, adore: 3, amazing: 3, awesome: 3, wonderful: 3, fantastic: 3,
+  perfect: 3, beautiful: 3, gorgeous: 3, incredible: 3, excellent: 3, brilliant: 3, best: 3,
+  happy: 3, excited: 3, thrilled: 3, delighted: 3, yay: 3,
+  great: 2, good: 2, glad: 2, nice: 2, cute: 2, sweet: 2, fun: 2, funny: 2, cool: 2, proud: 2,
+  enjoy: 2, enjoyed: 2, liked: 1, thanks: 2, thank: 2, grateful: 2, congrats: 2,
+  congratulations: 2, hope: 2, hopefully: 1, smile: 2, laugh: 1, haha: 1, hahaha: 1, lol: 1, lmao: 1,
+  yes: 1, sure: 1, okay: 0, ok: 0, calm: 1, safe: 1, better: 2, win: 2, won: 2, care: 2, hug: 2,
+  hugs: 2, kiss: 2, kisses: 2, cuddle: 2, wow: 2, interesting: 1, relaxed: 2, peaceful: 2,
+  // Negative
+  hate: -3, hated: -3, awful: -3, terrible: -3, horrible: -3, worst: -3, disgusting: -3,
+  furious: -3, miserable: -3, devastated: -3,
+  bad: -2, sad: -2, angry: -2, mad: -2, upset: -2, annoyed: -2, annoying: -2, hurt: -2, hurts: -2,
+  cry: -2, crying: -2, cried: -2, lonely: -2, scared: -2, afraid: -2, worried: -2, worry: -2,
+  stressed: -2, stress: -2, tired: -1, bored: -1, boring: -2, sorry: -1, sick: -2, pain: -2,
+  wrong: -2, stupid: -2, ugly: -2, fail: -2, failed: -2, lost: -1, lose: -1, problem: -1,
+  problems: -1, fight: -2, fighting: -2, jealous: -2, ugh: -2, damn: -1, unfortunately: -2,
+  disappointed: -2, disappointing: -2, hard: -1, difficult: -1, nope: -1, meh: -1,
+}
+
+// Emoji scores; variation selectors and skin tones are ignored when matching
+const EMOJI_SCORES = {
+  '❤': 3, '😍': 3, '🥰': 3, '😘': 3, '💕': 3, '💖': 3, '💗': 3, '💓': 3, '💞': 3, '💘': 3,
+  '💝': 3, '♥': 3, '😻': 3, '🤩': 3,
+  '🧡': 2, '💛': 2, '💚': 2, '💙': 2, '💜': 2, '🤍': 2, '🤎': 2, '🖤': 1, '😊': 2, '☺': 2,
+  '😁': 2, '😄': 2, '😃': 2, '😀': 2, '🥳': 2, '🤗': 2, '😂': 2, '🤣': 2, '😆': 2, '🎉': 2,
+  '👍': 1, '🙂': 1, '😉': 1, '😋': 1, '✨': 1, '🙏': 1, '💪': 1, '🔥': 1,
+  '😢': -2, '😭': -2, '😞': -2, '😔': -2, '😟': -2, '😣': -2, '😖': -2, '😩': -2, '😫': -2,
+  '💔': -3, '😠': -3, '😡': -3, '🤬': -3, '👎': -2, '😒': -1, '🙄': -1, '😕': -1, '🙁': -1,
+  '☹': -2, '😤': -2, '😰': -2, '😨': -2, '😱': -1,
+}
+
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'nothing', 'nobody', 'none', 'neither', 'nor', 'without', 'cannot',
+  'dont', 'doesnt', 'didnt', 'isnt', 'wasnt', 'arent', 'werent', 'cant', 'couldnt', 'wont',
+  'wouldnt', 'shouldnt', 'havent', 'hasnt', 'aint',
+])
+
+// How many words after a negation it applies to
+const NEGATION_SCOPE = 3
+
+// "not good" is milder than "bad", so negated scores flip and halve
+const NEGATION_FACTOR = -0.5
+
+/**
+ * Default affection lexicon: words, phrases and emojis
+ */
+export const DEFAULT_AFFECTION_TERMS = [
+  'love you', 'ily', 'ilysm', 'ily2', 'love u', 'luv u', 'luv you', 'miss you',
+  'miss u', 'xoxo', 'babe', 'baby', 'honey', 'sweetheart', 'darling', 'cutie', 'my love',
+  'handsome', 'beautiful', 'kisses', 'hugs',
+  '❤️', '♥️', '😍', '🥰', '😘', '💕', '💖', '💗', '💓', '💞', '💘', '💝', '😻', '💋',
+  '🧡', '💛', '💚', '💙', '💜', '🤍', '🤎',
+]
+
+/**
+ * Normalize an affection term or emoji for matching
+ * @param {string} term - Word, phrase or emoji
+ * @returns {string} Lowercase text; emojis without variation selectors or skin tones
+ */
+export function normalizeTerm(term) {
+  return (term || '')
+    .replace(/[\uFE0E\uFE0F\u{1F3FB}-\u{1F3FF}]/gu, '')
+    .replace(/[‘’ʼ]/g, '\'')
+    .toLocaleLowerCase()
+    .trim()
+    .replace(/\s+/g, ' ')
+}
+
+/**
+ * Score one message
+ * @param {Object} message - Message object with content and emojis
+ * @param {Object} options - { affectionTerms: Iterable<string> }
+ * @returns {Object} { sentiment: number, affection: number }
+ */
+export function scoreMessage(message, { affectionTerms = DEFAULT_AFFECTION_TERMS } = {}) {
+  const tokens = tokenize(message.content)
+  const emojis = (message.emojis || []).map(normalizeTerm)
+  const lexicon = compileAffectionTerms(affectionTerms)
+
+  let sentiment = 0
+  let affection = 0
+  let negatedUntil = -1
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i]
+    const word = token.replace(/'/g, '')
+
+    if (NEGATIONS.has(word) || token.endsWith('n\'t')) {
+      negatedUntil = i + NEGATION_SCOPE
+      continue
+    }
+
+    const negated = i <= negatedUntil
+    const score = WORD_SCORES[word] || 0
+    sentiment += negated ? score * NEGATION_FACTOR : score
+
+    // "don't miss you" isn't affectionate
+    if (!negated && lexicon.phrases.some(phrase => matchesAt(tokens, i, phrase))) {
+      affection++
+    }
+  }
+
+  for (const emoji of emojis) {
+    sentiment += EMOJI_SCORES[emoji] || 0
+    if (lexicon.emojis.has(emoji)) {
+      affection++
+    }
+  }
+
+  return { sentiment, affection }
+}
+
+/**
+ * Sentiment and affection per participant
+ * @param {Array} messages - Array of message objects
+ * @param {Object} options - { affectionTerms: Iterable<string> }
+ * @returns {Object} { [sender]: { messages, averageSentiment, positiveShare, negativeShare,
+ *   affection, affectionPerHundred } } (shares are 0–1)
+ */
+export function getSentimentByUser(messages, options = {}) {
+  const totals = {}
+
+  for (const message of messages || []) {
+    if (message.type !== 'text' || !message.sender) continue
+
+    if (!totals[message.sender]) {
+      totals[message.sender] = { messages: 0, sentiment: 0, positive: 0, negative: 0, affection: 0 }
+    }
+    const { sentiment, affection } = scoreMessage(message, options)
+    const user = totals[message.sender]
+    user.messages++
+    user.sentiment += sentiment
+    user.affection += affection
+    if (sentiment > 0) user.positive++
+    if (sentiment < 0) user.negative++
+  }
+
+  const result = {}
+  for (const [sender, user] of Object.entries(totals)) {
+    result[sender] = {
+      messages: user.messages,
+      averageSentiment: user.sentiment / user.messages,
+      positiveShare: user.positive / user.messages,
+      negativeShare: user.negative / user.messages,
+      affection: user.affection,
+      affectionPerHundred: (user.affection / user.messages) * 100,
+    }
+  }
+  return result
+}
+
+// Compiled lexicons by the term list they came from
+const compiledTerms = new WeakMap()
+
+/**
+ * Helper: Split affection terms into word sequences and emojis (cached per list)
+ */
+function compileAffectionTerms(terms) {
+  if (compiledTerms.has(terms)) {
+    return compiledTerms.get(terms)
+  }
+
+  const phrases = []
+  const emojis = new Set()
+
+  for (const term of terms) {
+    const normalized = normalizeTerm(term)
+    if (!normalized) continue
+
+    if (/[\p{L}\p{N}]/u.test(normalized)) {
+      phrases.push(tokenize(normalized))
+    } else {
+      emojis.add(normalized)
+    }
+  }
+
+  const compiled = { phrases, emojis }
+  compiledTerms.set(terms, compiled)
+  return compiled
+}
+
+/**
+ * Helper: Does a word sequence start at this token?
+ */
+function matchesAt(tokens, index, phrase) {
+  if (phrase.length === 0 || index + phrase.length > tokens.length) return false
+  return phrase.every((word, offset) => tokens[index + offset] === word)
+}
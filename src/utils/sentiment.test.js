@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest'
+import { scoreMessage, getSentimentByUser, normalizeTerm, DEFAULT_AFFECTION_TERMS } from './sentiment'
+
+function text(sender, content, emojis = []) {
+  return { sender, content, timestamp: new Date(2025, 0, 1), emojis, type: 'text' }
+}
+
+describe('sentiment - Scoring', () => {
+  it('adds up word and emoji scores', () => {
+    expect(scoreMessage(text('Alice', 'what a great day')).sentiment).toBe(2)
+    expect(scoreMessage(text('Alice', 'ugh this is awful')).sentiment).toBe(-5)
+    expect(scoreMessage(text('Alice', 'see you 😭', ['😭'])).sentiment).toBe(-2)
+  })
+
+  it('flips and softens negated words', () => {
+    expect(scoreMessage(text('Alice', 'not bad at all')).sentiment).toBe(1)
+    expect(scoreMessage(text('Alice', "I don't feel good")).sentiment).toBe(-1)
+    // Negation only reaches a few words ahead
+    expect(scoreMessage(text('Alice', 'no idea why but it was so good')).sentiment).toBe(2)
+  })
+
+  it('counts affection phrases, words and heart variants', () => {
+    expect(scoreMessage(text('Alice', 'ily babe')).affection).toBe(2)
+    expect(scoreMessage(text('Alice', 'I miss you so much')).affection).toBe(1)
+    expect(scoreMessage(text('Alice', '❤', ['❤'])).affection).toBe(1)
+    expect(scoreMessage(text('Alice', '💜🏻', ['💜🏻'])).affection).toBe(1)
+  })
+
+  it('ignores negated affection', () => {
+    expect(scoreMessage(text('Alice', "I don't miss you")).affection).toBe(0)
+  })
+
+  it('uses a custom affection lexicon', () => {
+    const affectionTerms = new Set(['love ya', '🌹'])
+
+    expect(scoreMessage(text('Alice', 'love ya 🌹', ['🌹']), { affectionTerms }).affection).toBe(2)
+    expect(scoreMessage(text('Alice', 'ily'), { affectionTerms }).affection).toBe(0)
+  })
+
+  it('normalizes terms for matching', () => {
+    expect(normalizeTerm('  Miss   You ')).toBe('miss you')
+    expect(normalizeTerm('❤️')).toBe(normalizeTerm('❤'))
+    expect(DEFAULT_AFFECTION_TERMS).toContain('❤️')
+  })
+})
+
+describe('sentiment - Per Participant', () => {
+  it('averages scores and counts affection per person', () => {
+    const result = getSentimentByUser([
+      text('Alice', 'love you'),
+      text('Alice', 'sad today'),
+      text('Bob', 'ok'),
+      { ...text('Bob', ''), type: 'image' },
+    ])
+
+    expect(result.Alice).toEqual({
+      messages: 2,
+      averageSentiment: 0.5,
+      positiveShare: 0.5,
+      negativeShare: 0.5,
+      affection: 1,
+      affectionPerHundred: 50,
+    })
+    expect(result.Bob).toMatchObject({ messages: 1, averageSentiment: 0, affection: 0 })
+  })
+})
@@ -0,0 +1,71 @@
+/**
+ * Stopword lists for word analysis
+ *
+ * Short, chat-oriented lists of function words (articles, pronouns,
+ * prepositions, auxiliaries) per language. Words are lowercase and use a
+ * plain apostrophe, matching the output of tokenize().
+ */
+
+export const STOPWORDS = {
+  en: [
+    'a', 'about', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+    'be', 'because', 'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does',
+    'doing', 'don\'t', 'for', 'from', 'get', 'got', 'had', 'has', 'have', 'he', 'her', 'here',
+    'him', 'his', 'how', 'i', 'i\'m', 'if', 'in', 'into', 'is', 'it', 'it\'s', 'its', 'just',
+    'me', 'my', 'no', 'not', 'now', 'of', 'oh', 'ok', 'on', 'one', 'or', 'our', 'out', 'so',
+    'some', 'that', 'that\'s', 'the', 'their', 'them', 'then', 'there', 'they', 'this', 'to',
+    'too', 'up', 'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why',
+    'will', 'with', 'would', 'you', 'you\'re', 'your',
+  ],
+  es: [
+    'a', 'al', 'algo', 'como', 'con', 'de', 'del', 'el', 'ella', 'ellos', 'en', 'era', 'es',
+    'esa', 'ese', 'eso', 'esta', 'está', 'este', 'esto', 'fue', 'ha', 'hay', 'la', 'las', 'le',
+    'les', 'lo', 'los', 'me', 'mi', 'muy', 'más', 'nada', 'ni', 'no', 'nos', 'o', 'para', 'pero',
+    'por', 'porque', 'que', 'qué', 'se', 'si', 'sin', 'sí', 'su', 'sus', 'también', 'te', 'ti',
+    'tu', 'tú', 'un', 'una', 'uno', 'y', 'ya', 'yo',
+  ],
+  fr: [
+    'à', 'au', 'aux', 'avec', 'ça', 'ce', 'c\'est', 'ces', 'dans', 'de', 'des', 'du', 'elle',
+    'en', 'est', 'et', 'il', 'j\'ai', 'je', 'la', 'le', 'les', 'leur', 'lui', 'ma', 'mais', 'me',
+    'mes', 'moi', 'mon', 'ne', 'nous', 'on', 'ou', 'où', 'par', 'pas', 'pour', 'qu\'il', 'que',
+    'qui', 'sa', 'se', 'ses', 'si', 'son', 'sur', 'ta', 'te', 'tes', 'toi', 'ton', 'tu', 'un',
+    'une', 'vous', 'y',
+  ],
+  de: [
+    'aber', 'als', 'am', 'an', 'auch', 'auf', 'aus', 'bei', 'bin', 'bist', 'da', 'das', 'dass',
+    'dein', 'dem', 'den', 'der', 'des', 'dich', 'die', 'dir', 'du', 'ein', 'eine', 'einen',
+    'er', 'es', 'für', 'hab', 'habe', 'hat', 'ich', 'ihr', 'im', 'in', 'ist', 'ja', 'mein',
+    'mich', 'mir', 'mit', 'nicht', 'noch', 'nur', 'oder', 'schon', 'sie', 'sind', 'so', 'um',
+    'und', 'uns', 'von', 'war', 'was', 'wenn', 'wie', 'wir', 'zu', 'zum', 'zur',
+  ],
+  it: [
+    'a', 'al', 'alla', 'anche', 'che', 'ci', 'come', 'con', 'da', 'del', 'della', 'di', 'e',
+    'è', 'gli', 'ha', 'ho', 'i', 'il', 'in', 'io', 'la', 'le', 'lo', 'ma', 'mi', 'ne', 'non',
+    'per', 'più', 'se', 'si', 'sono', 'su', 'ti', 'tu', 'un', 'una', 'uno',
+  ],
+  pt: [
+    'a', 'ao', 'as', 'com', 'como', 'da', 'das', 'de', 'do', 'dos', 'e', 'ela', 'ele', 'em',
+    'era', 'essa', 'esse', 'eu', 'foi', 'isso', 'já', 'me', 'mais', 'mas', 'meu', 'minha', 'na',
+    'no', 'não', 'nos', 'o', 'os', 'ou', 'para', 'pra', 'por', 'que', 'se', 'sem', 'seu', 'sua',
+    'também', 'te', 'tem', 'um', 'uma', 'você', 'é',
+  ],
+  nl: [
+    'aan', 'al', 'als', 'ben', 'bij', 'dan', 'dat', 'de', 'die', 'dit', 'een', 'en', 'er', 'het',
+    'hij', 'ik', 'in', 'is', 'je', 'jij', 'maar', 'me', 'met', 'mij', 'mijn', 'niet', 'nog', 'nu',
+    'of', 'om', 'ook', 'op', 'te', 'van', 'voor', 'wat', 'we', 'wel', 'zijn', 'ze',
+  ],
+}
+
+/**
+ * Languages with a stopword list
+ */
+export const STOPWORD_LANGUAGES = Object.keys(STOPWORDS)
+
+/**
+ * Build a stopword set for the given languages
+ * @param {string[]} languages - Language codes (defaults to every list)
+ * @returns {Set<string>} Combined stopwords
+ */
+export function getStopwords(languages = STOPWORD_LANGUAGES) {
+  return new Set(languages.flatMap(language => STOPWORDS[language] || []))
+}
@@ -0,0 +1,184 @@
+import { getStopwords } from './stopwords'
+
+/**
+ * Text analytics
+ *
+ * Word-level statistics computed from message content: top words,
+ * distinctive words per participant and vocabulary richness.
+ * Only messages of type 'text' are analysed, so placeholders such as
+ * "sent an attachment." don't count as words.
+ */
+
+const URL_PATTERN = /\bhttps?:\/\/\S+|\bwww\.\S+/gi
+
+// Letters/digits with optional inner apostrophes ("don't", "c'est")
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:'[\p{L}\p{N}]+)*/gu
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text - Message content
+ * @returns {string[]} Tokens (URLs and pure numbers removed)
+ */
+export function tokenize(text) {
+  if (!text) return []
+
+  const normalized = text
+    .replace(URL_PATTERN, ' ')
+    .replace(/[‘’ʼ]/g, '\'')
+    .toLocaleLowerCase()
+
+  return (normalized.match(WORD_PATTERN) || []).filter(token => /\p{L}/u.test(token))
+}
+
+/**
+ * Count words per participant
+ * @param {Array} messages - Array of message objects
+ * @param {Object} options - { stopwords: Set, ignoredWords: Set, minLength: number }
+ * @returns {Map<string, Map<string, number>>} sender -> word -> count
+ */
+export function countWordsByUser(messages, { stopwords = getStopwords(), ignoredWords = new Set(), minLength = 2 } = {}) {
+  const countsByUser = new Map()
+
+  for (const message of messages || []) {
+    if (message.type !== 'text' || !message.sender) continue
+
+    if (!countsByUser.has(message.sender)) {
+      countsByUser.set(message.sender, new Map())
+    }
+    const counts = countsByUser.get(message.sender)
+
+    for (const token of tokenize(message.content)) {
+      if (token.length < minLength || stopwords.has(token) || ignoredWords.has(token)) continue
+      counts.set(token, (counts.get(token) || 0) + 1)
+    }
+  }
+
+  return countsByUser
+}
+
+/**
+ * Most used words overall and per participant
+ * @param {Array} messages - Array of message objects
+ * @param {Object} options - { limit: number } plus countWordsByUser options
+ * @returns {Object} { overall: [{ word, count }], byUser: { [sender]: [{ word, count }] } }
+ */
+export function getTopWords(messages, { limit = 20, ...options } = {}) {
+  const countsByUser = countWordsByUser(messages, options)
+  const overall = new Map()
+  const byUser = {}
+
+  for (const [sender, counts] of countsByUser) {
+    byUser[sender] = rankCounts(counts, limit)
+    for (const [word, count] of counts) {
+      overall.set(word, (overall.get(word) || 0) + count)
+    }
+  }
+
+  return { overall: rankCounts(overall, limit), byUser }
+}
+
+/**
+ * Words each participant uses more than the others
+ *
+ * Scores are z-scores of the log-odds ratio with an informative Dirichlet prior
+ * (Monroe, Colaresi & Quinn, "Fightin' Words"), comparing each participant
+ * against everyone else combined. Rare words are shrunk towards zero, so a
+ * word said once doesn't outrank a running joke.
+ *
+ * @param {Array} messages - Array of message objects
+ * @param {Object} options - { limit: number, minCount: number } plus countWordsByUser options
+ * @returns {Object} { [sender]: [{ word, count, score }] }
+ */
+export function getDistinctiveWords(messages, { limit = 15, minCount = 2, ...options } = {}) {
+  const countsByUser = countWordsByUser(messages, options)
+  const result = {}
+
+  if (countsByUser.size < 2) {
+    for (const sender of countsByUser.keys()) {
+      result[sender] = []
+    }
+    return result
+  }
+
+  // Corpus-wide counts serve as the prior
+  const totals = new Map()
+  for (const counts of countsByUser.values()) {
+    for (const [word, count] of counts) {
+      totals.set(word, (totals.get(word) || 0) + count)
+    }
+  }
+  const corpusSize = sum(totals.values())
+
+  for (const [sender, counts] of countsByUser) {
+    const ownSize = sum(counts.values())
+    const restSize = corpusSize - ownSize
+    const scored = []
+
+    for (const [word, own] of counts) {
+      if (own < minCount) continue
+
+      const prior = totals.get(word)
+      const rest = prior - own
+      const ownLogOdds = Math.log((own + prior) / (ownSize + corpusSize - own - prior))
+      const restLogOdds = Math.log((rest + prior) / (restSize + corpusSize - rest - prior))
+      const variance = 1 / (own + prior) + 1 / (rest + prior)
+      const score = (ownLogOdds - restLogOdds) / Math.sqrt(variance)
+
+      if (score > 0) {
+        scored.push({ word, count: own, score })
+      }
+    }
+
+    result[sender] = scored.sort((a, b) => b.score - a.score).slice(0, limit)
+  }
+
+  return result
+}
+
+/**
+ * Vocabulary richness per participant
+ *
+ * Counts every word, stopwords included. The type/token ratio falls as people
+ * write more, so Guiraud's index (unique / √total) is included for comparing
+ * participants with very different message counts.
+ *
+ * @param {Array} messages - Array of message objects
+ * @returns {Object} { [sender]: { totalWords, uniqueWords, typeTokenRatio, guiraudIndex } }
+ */
+export function calculateVocabulary(messages) {
+  const countsByUser = countWordsByUser(messages, { stopwords: new Set(), minLength: 1 })
+  const result = {}
+
+  for (const [sender, counts] of countsByUser) {
+    const totalWords = sum(counts.values())
+    const uniqueWords = counts.size
+
+    result[sender] = {
+      totalWords,
+      uniqueWords,
+      typeTokenRatio: totalWords > 0 ? uniqueWords / totalWords : 0,
+      guiraudIndex: totalWords > 0 ? uniqueWords / Math.sqrt(totalWords) : 0,
+    }
+  }
+
+  return result
+}
+
+/**
+ * Helper: Sort a word count map into a ranked list
+ */
+function rankCounts(counts, limit) {
+  return Array.from(counts.entries())
+    .map(([word, count]) => ({ word, count }))
+    .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word))
+    .slice(0, limit)
+}
+
+/**
+ * Helper: Sum an iterable of numbers
+ */
+function sum(values) {
+  let total = 0
+  for (const value of values) total += value
+  return total
+}
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest'
+import {
+  tokenize,
+  countWordsByUser,
+  getTopWords,
+  getDistinctiveWords,
+  calculateVocabulary,
+} from './textAnalytics'
+import { getStopwords } from './stopwords'
+
+function message(sender, content, type = 'text') {
+  return { sender, content, timestamp: new Date(2025, 9, 16), emojis: [], type }
+}
+
+describe('textAnalytics - Tokenization', () => {
+  it('lowercases words and keeps inner apostrophes', () => {
+    expect(tokenize('Don’t PANIC, it\'s fine!')).toEqual(['don\'t', 'panic', 'it\'s', 'fine'])
+  })
+
+  it('handles accented and non-Latin scripts', () => {
+    expect(tokenize('Ça va? Très bien — спасибо')).toEqual(['ça', 'va', 'très', 'bien', 'спасибо'])
+  })
+
+  it('drops URLs, numbers and emojis', () => {
+    expect(tokenize('see https://example.com/a?b=1 at 10 ❤️ ok2go')).toEqual(['see', 'at', 'ok2go'])
+  })
+
+  it('handles empty content', () => {
+    expect(tokenize('')).toEqual([])
+    expect(tokenize(undefined)).toEqual([])
+  })
+})
+
+describe('textAnalytics - Word Counts', () => {
+  const messages = [
+    message('Alice', 'The pizza was the best pizza'),
+    message('Alice', 'Le chat est sur la table'),
+    message('Bob', 'sent an attachment.', 'attachment'),
+    message('Bob', 'Pizza tomorrow?'),
+  ]
+
+  it('skips stopwords in several languages and non-text messages', () => {
+    const counts = countWordsByUser(messages)
+
+    expect(Object.fromEntries(counts.get('Alice'))).toEqual({ pizza: 2, best: 1, chat: 1, table: 1 })
+    expect(Object.fromEntries(counts.get('Bob'))).toEqual({ pizza: 1, tomorrow: 1 })
+  })
+
+  it('restricts stopwords to chosen languages', () => {
+    const counts = countWordsByUser(messages, { stopwords: getStopwords(['en']) })
+
+    expect(counts.get('Alice').get('le')).toBe(1)
+    expect(counts.get('Alice').has('the')).toBe(false)
+  })
+
+  it('ranks top words overall and per user, honouring ignored words', () => {
+    const { overall, byUser } = getTopWords(messages, { ignoredWords: new Set(['chat']) })
+
+    expect(overall[0]).toEqual({ word: 'pizza', count: 3 })
+    expect(overall.map(item => item.word)).not.toContain('chat')
+    expect(byUser.Bob).toEqual([{ word: 'pizza', count: 1 }, { word: 'tomorrow', count: 1 }])
+  })
+})
+
+describe('textAnalytics - Distinctive Words', () => {
+  const messages = [
+    ...Array.from({ length: 5 }, () => message('Alice', 'lol pizza tonight')),
+    ...Array.from({ length: 5 }, () => message('Bob', 'haha pizza tonight')),
+    message('Bob', 'haha okay'),
+  ]
+
+  it('scores words a participant uses more than the others', () => {
+    const result = getDistinctiveWords(messages)
+
+    expect(result.Alice[0]).toMatchObject({ word: 'lol', count: 5 })
+    expect(result.Bob[0]).toMatchObject({ word: 'haha', count: 6 })
+    expect(result.Bob.map(item => item.word)).not.toContain('pizza')
+  })
+
+  it('ignores words below the minimum count', () => {
+    expect(getDistinctiveWords(messages).Bob.map(item => item.word)).not.toContain('okay')
+  })
+
+  it('returns empty lists for a single participant', () => {
+    expect(getDistinctiveWords([message('Alice', 'hello hello')])).toEqual({ Alice: [] })
+  })
+})
+
+describe('textAnalytics - Vocabulary', () => {
+  it('counts unique words and richness ratios including stopwords', () => {
+    const result = calculateVocabulary([
+      message('Alice', 'I love it, I love it'),
+      message('Bob', 'sent a photo', 'image'),
+    ])
+
+    expect(result).toEqual({
+      Alice: { totalWords: 6, uniqueWords: 3, typeTokenRatio: 0.5, guiraudIndex: 3 / Math.sqrt(6) },
+    })
+  })
+})
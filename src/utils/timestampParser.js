@@ -0,0 +1,246 @@
+/**
+ * Locale-aware timestamp parsing for chat exports
+ *
+ * Instagram writes timestamps in the account's language, e.g.
+ * - English: "Oct 16, 2025 5:28 am"
+ * - German: "16. Okt. 2025, 17:28"
+ * - Spanish: "16 de octubre de 2025 17:28"
+ * - French: "16 oct. 2025 à 17h28"
+ * - Numeric: "16/10/2025 17:28", "10/16/2025 5:28 PM", "2025-10-16 17:28"
+ *
+ * Month names are matched by full name or any unambiguous prefix of at least
+ * three letters, ignoring case and accents ("févr." → février).
+ */
+
+/**
+ * Supported export languages
+ *
+ * dateOrder decides numeric dates like 03/04/2025 when nothing in the export
+ * gives the order away.
+ */
+export const TIMESTAMP_LOCALES = [
+  {
+    id: 'en',
+    label: 'English',
+    dateOrder: 'MDY',
+    months: ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'],
+  },
+  {
+    id: 'de',
+    label: 'Deutsch',
+    dateOrder: 'DMY',
+    months: ['januar', 'februar', 'marz', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'dezember'],
+    abbreviations: { mrz: 3 },
+  },
+  {
+    id: 'es',
+    label: 'Español',
+    dateOrder: 'DMY',
+    months: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+    abbreviations: { setiembre: 9 },
+  },
+  {
+    id: 'fr',
+    label: 'Français',
+    dateOrder: 'DMY',
+    months: ['janvier', 'fevrier', 'mars', 'avril', 'mai', 'juin', 'juillet', 'aout', 'septembre', 'octobre', 'novembre', 'decembre'],
+  },
+  {
+    id: 'it',
+    label: 'Italiano',
+    dateOrder: 'DMY',
+    months: ['gennaio', 'febbraio', 'marzo', 'aprile', 'maggio', 'giugno', 'luglio', 'agosto', 'settembre', 'ottobre', 'novembre', 'dicembre'],
+  },
+  {
+    id: 'pt',
+    label: 'Português',
+    dateOrder: 'DMY',
+    months: ['janeiro', 'fevereiro', 'marco', 'abril', 'maio', 'junho', 'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'],
+  },
+  {
+    id: 'nl',
+    label: 'Nederlands',
+    dateOrder: 'DMY',
+    months: ['januari', 'februari', 'maart', 'april', 'mei', 'juni', 'juli', 'augustus', 'september', 'oktober', 'november', 'december'],
+    abbreviations: { mrt: 3 },
+  },
+]
+
+// Time of day: "5:28", "17:28:05", "17h28", "17 h 28"
+const TIME_PATTERN = /(\d{1,2})\s?[:h]\s?(\d{2})(?::(\d{2}))?/
+
+// "am", "PM", "a.m.", "p. m." as a word of its own
+const MERIDIEM_PATTERN = /(?:^|[\s,])([ap])\.?\s?m\.?(?=[\s,]|$)/
+
+// Years before this are assumed to be 2-digit years (25 → 2025)
+const TWO_DIGIT_YEAR_BASE = 2000
+
+/**
+ * Parse a localized timestamp
+ * @param {string} text - Timestamp as written in the export
+ * @param {Object} options - { locale: 'auto' or a TIMESTAMP_LOCALES id, dateOrder: 'DMY'|'MDY' }
+ * @returns {Date|null} Local date, or null if the text can't be read
+ */
+export function parseTimestamp(text, { locale = 'auto', dateOrder = null } = {}) {
+  if (!text) return null
+
+  let rest = normalize(text)
+
+  // Step 1: Time of day
+  const time = rest.match(TIME_PATTERN)
+  if (!time) return null
+  rest = rest.replace(time[0], ' ')
+
+  let hour = Number(time[1])
+  const minute = Number(time[2])
+  const second = time[3] ? Number(time[3]) : 0
+
+  const meridiem = rest.match(MERIDIEM_PATTERN)
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null
+    hour = (hour % 12) + (meridiem[1] === 'p' ? 12 : 0)
+    rest = rest.replace(meridiem[0], ' ')
+  }
+
+  // Step 2: Date
+  const date = parseDate(rest, locale, dateOrder || getLocale(locale)?.dateOrder || 'DMY')
+  if (!date) return null
+
+  const { year, month, day } = date
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) {
+    return null
+  }
+
+  const result = new Date(year, month - 1, day, hour, minute, second)
+
+  // Reject dates that rolled over, e.g. 31 February
+  if (result.getDate() !== day || result.getMonth() !== month - 1) {
+    return null
+  }
+
+  return result
+}
+
+/**
+ * Work out whether numeric dates in an export are day-first or month-first
+ *
+ * A first number above 12 can only be a day, a second number above 12 can
+ * only be a day too. The first timestamp that gives the order away decides.
+ *
+ * @param {string[]} texts - Timestamps as written in the export
+ * @param {string} locale - 'auto' or a TIMESTAMP_LOCALES id, for the fallback
+ * @returns {string} 'DMY' or 'MDY'
+ */
+export function detectDateOrder(texts, locale = 'auto') {
+  for (const text of texts) {
+    const numeric = text?.match(/^\D*(\d{1,2})[./-](\d{1,2})[./-]\d{2,4}/)
+    if (!numeric) continue
+
+    if (Number(numeric[1]) > 12) return 'DMY'
+    if (Number(numeric[2]) > 12) return 'MDY'
+  }
+
+  return getLocale(locale)?.dateOrder || 'DMY'
+}
+
+/**
+ * Helper: Locale descriptor by id
+ */
+function getLocale(id) {
+  return TIMESTAMP_LOCALES.find(locale => locale.id === id) || null
+}
+
+/**
+ * Helper: Lowercase, strip accents and unusual spaces
+ */
+function normalize(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u00a0\u202f\u200e\u200f]/g, ' ')
+    .toLowerCase()
+    .trim()
+}
+
+/**
+ * Helper: Read year, month and day from the date part of a timestamp
+ */
+function parseDate(text, locale, dateOrder) {
+  const numbers = text.match(/\d+/g) || []
+  const month = findMonth(text, locale)
+
+  // Month written as a word: the 4-digit number is the year, the other the day
+  if (month) {
+    if (numbers.length !== 2) return null
+    const yearIndex = numbers[0].length === 4 ? 0 : 1
+    return {
+      year: toYear(numbers[yearIndex]),
+      month,
+      day: Number(numbers[1 - yearIndex]),
+    }
+  }
+
+  if (numbers.length !== 3) return null
+
+  // ISO order: 2025-10-16
+  if (numbers[0].length === 4) {
+    return { year: Number(numbers[0]), month: Number(numbers[1]), day: Number(numbers[2]) }
+  }
+
+  const [first, second, year] = numbers
+  return dateOrder === 'MDY'
+    ? { year: toYear(year), month: Number(first), day: Number(second) }
+    : { year: toYear(year), month: Number(second), day: Number(first) }
+}
+
+/**
+ * Helper: Month number named in the text, or null
+ *
+ * If several words look like months (e.g. a weekday abbreviation), the last
+ * one wins, since weekdays come before the date.
+ */
+function findMonth(text, locale) {
+  const locales = locale === 'auto' ? TIMESTAMP_LOCALES : [getLocale(locale)].filter(Boolean)
+  const words = text.match(/[a-z]+/g) || []
+  let month = null
+
+  for (const word of words) {
+    const match = matchMonth(word, locales)
+    if (match) {
+      month = match
+    }
+  }
+
+  return month
+}
+
+/**
+ * Helper: Month a single word stands for across the given locales
+ */
+function matchMonth(word, locales) {
+  if (word.length < 3) return null
+
+  const matches = new Set()
+
+  for (const locale of locales) {
+    if (locale.abbreviations?.[word]) {
+      matches.add(locale.abbreviations[word])
+    }
+    locale.months.forEach((name, index) => {
+      if (name.startsWith(word)) {
+        matches.add(index + 1)
+      }
+    })
+  }
+
+  // "jui" could be juin or juillet: too ambiguous to guess
+  return matches.size === 1 ? [...matches][0] : null
+}
+
+/**
+ * Helper: Expand 2-digit years
+ */
+function toYear(value) {
+  const year = Number(value)
+  return value.length <= 2 ? TWO_DIGIT_YEAR_BASE + year : year
+}
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest'
+import { parseTimestamp, detectDateOrder } from './timestampParser'
+
+describe('timestampParser - parseTimestamp', () => {
+  const expected = new Date(2025, 9, 16, 17, 28)
+
+  it.each([
+    ['English', 'Oct 16, 2025 5:28 pm'],
+    ['English with comma and capitals', 'Oct 16, 2025, 5:28 PM'],
+    ['German', '16. Okt. 2025, 17:28'],
+    ['Spanish', '16 de octubre de 2025 17:28'],
+    ['Spanish meridiem', '16 oct 2025 5:28 p. m.'],
+    ['French', '16 oct. 2025 à 17h28'],
+    ['Italian', '16 ott 2025, 17:28'],
+    ['Portuguese', '16 de out. de 2025 17:28'],
+    ['Dutch', '16 okt 2025 17:28'],
+    ['numeric day-first', '16/10/2025 17:28'],
+    ['ISO', '2025-10-16 17:28'],
+    ['leading weekday', 'mar, 16 oct 2025 17:28'],
+  ])('reads %s timestamps', (_, text) => {
+    expect(parseTimestamp(text)).toEqual(expected)
+  })
+
+  it('matches accented month abbreviations', () => {
+    expect(parseTimestamp('3 févr. 2025 09:05')).toEqual(new Date(2025, 1, 3, 9, 5))
+    expect(parseTimestamp('3. März 2025 09:05')).toEqual(new Date(2025, 2, 3, 9, 5))
+  })
+
+  it('handles midnight and noon in 12-hour time', () => {
+    expect(parseTimestamp('Oct 16, 2025 12:05 am')).toEqual(new Date(2025, 9, 16, 0, 5))
+    expect(parseTimestamp('Oct 16, 2025 12:05 pm')).toEqual(new Date(2025, 9, 16, 12, 5))
+  })
+
+  it('uses the date order for ambiguous numeric dates', () => {
+    expect(parseTimestamp('03/04/2025 10:00', { dateOrder: 'DMY' })).toEqual(new Date(2025, 3, 3, 10))
+    expect(parseTimestamp('03/04/2025 10:00', { dateOrder: 'MDY' })).toEqual(new Date(2025, 2, 4, 10))
+    expect(parseTimestamp('03/04/2025 10:00', { locale: 'en' })).toEqual(new Date(2025, 2, 4, 10))
+  })
+
+  it('only accepts the chosen locale\'s month names', () => {
+    expect(parseTimestamp('16 okt 2025 17:28', { locale: 'de' })).toEqual(expected)
+    expect(parseTimestamp('16 okt 2025 17:28', { locale: 'es' })).toBeNull()
+  })
+
+  it('returns null for text it cannot read', () => {
+    expect(parseTimestamp('')).toBeNull()
+    expect(parseTimestamp('yesterday')).toBeNull()
+    expect(parseTimestamp('31 Feb 2025 10:00')).toBeNull()
+    expect(parseTimestamp('Oct 16, 2025 13:28 pm')).toBeNull()
+    expect(parseTimestamp('16 jui 2025 10:00')).toBeNull() // juin or juillet
+  })
+})
+
+describe('timestampParser - detectDateOrder', () => {
+  it('finds the order from a day above 12', () => {
+    expect(detectDateOrder(['03/04/2025 10:00', '25/04/2025 10:00'])).toBe('DMY')
+    expect(detectDateOrder(['03/04/2025 10:00', '04/25/2025 10:00'])).toBe('MDY')
+  })
+
+  it('falls back to the locale when every date is ambiguous', () => {
+    expect(detectDateOrder(['03/04/2025 10:00'], 'en')).toBe('MDY')
+    expect(detectDateOrder(['03/04/2025 10:00'])).toBe('DMY')
+    expect(detectDateOrder(['Oct 16, 2025 5:28 pm', undefined], 'fr')).toBe('DMY')
+  })
+})
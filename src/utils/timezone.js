@@ -0,0 +1,197 @@
+/**
+ * Timezone helpers for bucketing timestamps
+ *
+ * Message timestamps are instants. To count "messages at 11pm on Sunday" in a
+ * particular place, read the calendar fields in that IANA timezone. A null
+ * timezone means the browser's own zone.
+ */
+
+// Every real-world UTC offset is a multiple of 15 minutes, so all instants in
+// the same 15-minute slot share their calendar fields
+const SLOT_MS = 15 * 60 * 1000
+
+// Bound the cache so very long conversations can't grow it without limit
+const MAX_CACHED_SLOTS = 100000
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 }
+
+// Used where the runtime can't list its zones
+const FALLBACK_TIME_ZONES = [
+  'UTC',
+  'America/Los_Angeles',
+  'America/Denver',
+  'America/Chicago',
+  'America/New_York',
+  'America/Sao_Paulo',
+  'Europe/London',
+  'Europe/Paris',
+  'Europe/Berlin',
+  'Europe/Istanbul',
+  'Africa/Johannesburg',
+  'Asia/Dubai',
+  'Asia/Kolkata',
+  'Asia/Bangkok',
+  'Asia/Shanghai',
+  'Asia/Tokyo',
+  'Australia/Sydney',
+  'Pacific/Auckland',
+]
+
+const formatters = new Map()
+const offsetFormatters = new Map()
+const partsCache = new Map()
+
+/**
+ * Check whether a string is an IANA timezone the runtime understands
+ * @param {string} timeZone - e.g. 'Europe/Berlin'
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false
+  try {
+    getFormatter(timeZone)
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * List selectable IANA timezones
+ * @returns {string[]} Timezone names
+ */
+export function getSupportedTimeZones() {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return Intl.supportedValuesOf('timeZone')
+  }
+  return FALLBACK_TIME_ZONES
+}
+
+/**
+ * The browser's own timezone
+ * @returns {string} IANA timezone name
+ */
+export function getLocalTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone
+}
+
+/**
+ * Read calendar fields of an instant in a timezone
+ * @param {Date|number|string} date - Instant to convert
+ * @param {string|null} timeZone - IANA timezone, or null for the browser's zone
+ * @returns {Object} { year, month (1–12), day, hour (0–23), weekday (0 = Sunday) }
+ */
+export function getZonedParts(date, timeZone = null) {
+  const instant = date instanceof Date ? date : new Date(date)
+
+  if (!timeZone) {
+    return {
+      year: instant.getFullYear(),
+      month: instant.getMonth() + 1,
+      day: instant.getDate(),
+      hour: instant.getHours(),
+      weekday: instant.getDay(),
+    }
+  }
+
+  const key = `${timeZone}|${Math.floor(instant.getTime() / SLOT_MS)}`
+  let parts = partsCache.get(key)
+
+  if (!parts) {
+    const fields = {}
+    for (const { type, value } of getFormatter(timeZone).formatToParts(instant)) {
+      fields[type] = value
+    }
+
+    parts = {
+      year: Number(fields.year),
+      month: Number(fields.month),
+      day: Number(fields.day),
+      hour: Number(fields.hour) % 24,
+      weekday: WEEKDAYS[fields.weekday],
+    }
+
+    if (partsCache.size >= MAX_CACHED_SLOTS) {
+      partsCache.clear()
+    }
+    partsCache.set(key, parts)
+  }
+
+  return parts
+}
+
+/**
+ * Find the instant a wall-clock time happens in a timezone
+ * @param {Object} parts - { year, month (1–12), day, hour, minute, second, millisecond };
+ *   out-of-range days roll over into the next or previous month
+ * @param {string|null} timeZone - IANA timezone, or null for the browser's zone
+ * @returns {Date} Instant
+ */
+export function fromZonedParts({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone = null) {
+  if (!timeZone) {
+    return new Date(year, month - 1, day, hour, minute, second, millisecond)
+  }
+
+  // Reading the wall clock as UTC is off by the zone's offset; the second
+  // lookup settles times near a daylight saving change
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, millisecond)
+  const guess = wallClock - getOffsetMinutes(wallClock, timeZone) * 60000
+  return new Date(wallClock - getOffsetMinutes(guess, timeZone) * 60000)
+}
+
+/**
+ * Build the timeZone option passed to transforms
+ *
+ * 'local' uses the browser's zone, 'sender' reads each message in its
+ * sender's home timezone, anything else is an IANA timezone for everyone.
+ *
+ * @param {string} setting - 'local', 'sender' or an IANA timezone
+ * @param {Object} homeTimeZones - { [sender]: IANA timezone }
+ * @returns {string|Function|null} Timezone, sender => timezone, or null
+ */
+export function createTimeZoneOption(setting, homeTimeZones = {}) {
+  if (!setting || setting === 'local') {
+    return null
+  }
+  if (setting === 'sender') {
+    return sender => homeTimeZones[sender] || null
+  }
+  return setting
+}
+
+/**
+ * Helper: Cached formatter that exposes calendar fields in a timezone
+ */
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone)
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      weekday: 'short',
+    })
+    formatters.set(timeZone, formatter)
+  }
+  return formatter
+}
+
+/**
+ * Helper: Minutes a timezone is ahead of UTC at an instant
+ */
+function getOffsetMinutes(time, timeZone) {
+  let formatter = offsetFormatters.get(timeZone)
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+    offsetFormatters.set(timeZone, formatter)
+  }
+
+  const name = formatter.formatToParts(time).find(part => part.type === 'timeZoneName').value
+  const match = name.match(/GMT([+-])(\d{2}):(\d{2})/)
+  if (!match) return 0 // "GMT" itself
+  const minutes = Number(match[2]) * 60 + Number(match[3])
+  return match[1] === '-' ? -minutes : minutes
+}
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getZonedParts,
+  fromZonedParts,
+  isValidTimeZone,
+  getSupportedTimeZones,
+  createTimeZoneOption,
+} from './timezone'
+
+describe('timezone - getZonedParts', () => {
+  // Sunday 5 January 2025, 23:30 UTC
+  const instant = new Date(Date.UTC(2025, 0, 5, 23, 30))
+
+  it('reads calendar fields in the given zone', () => {
+    expect(getZonedParts(instant, 'UTC')).toEqual({ year: 2025, month: 1, day: 5, hour: 23, weekday: 0 })
+    expect(getZonedParts(instant, 'America/New_York')).toEqual({ year: 2025, month: 1, day: 5, hour: 18, weekday: 0 })
+    expect(getZonedParts(instant, 'Asia/Tokyo')).toEqual({ year: 2025, month: 1, day: 6, hour: 8, weekday: 1 })
+  })
+
+  it('handles zones with partial-hour offsets', () => {
+    expect(getZonedParts(instant, 'Asia/Kathmandu').hour).toBe(5) // +05:45
+    expect(getZonedParts(instant, 'Asia/Kolkata').hour).toBe(5) // +05:30
+  })
+
+  it('follows daylight saving time', () => {
+    const summer = new Date(Date.UTC(2025, 6, 1, 12))
+    expect(getZonedParts(summer, 'Europe/Berlin').hour).toBe(14)
+    expect(getZonedParts(instant, 'Europe/Berlin').hour).toBe(0)
+  })
+
+  it('uses the browser zone without a timezone', () => {
+    const local = new Date(2025, 2, 14, 7, 15)
+    expect(getZonedParts(local)).toEqual({ year: 2025, month: 3, day: 14, hour: 7, weekday: 5 })
+  })
+
+  it('accepts timestamps as numbers', () => {
+    expect(getZonedParts(instant.getTime(), 'UTC').hour).toBe(23)
+  })
+})
+
+describe('timezone - fromZonedParts', () => {
+  it('finds the instant of a wall-clock time in the given zone', () => {
+    expect(fromZonedParts({ year: 2025, month: 1, day: 6 }, 'Asia/Tokyo')).toEqual(new Date(Date.UTC(2025, 0, 5, 15)))
+    expect(fromZonedParts({ year: 2025, month: 1, day: 6 }, 'Asia/Kolkata')).toEqual(new Date(Date.UTC(2025, 0, 5, 18, 30)))
+    expect(fromZonedParts({ year: 2025, month: 7, day: 1, hour: 23, minute: 59 }, 'America/New_York'))
+      .toEqual(new Date(Date.UTC(2025, 6, 2, 3, 59)))
+  })
+
+  it('settles times next to a daylight saving change', () => {
+    // Berlin moved from +01:00 to +02:00 at 02:00 on 30 March 2025
+    expect(fromZonedParts({ year: 2025, month: 3, day: 30 }, 'Europe/Berlin')).toEqual(new Date(Date.UTC(2025, 2, 29, 23)))
+    expect(fromZonedParts({ year: 2025, month: 3, day: 30, hour: 12 }, 'Europe/Berlin')).toEqual(new Date(Date.UTC(2025, 2, 30, 10)))
+  })
+
+  it('rolls days over and uses the browser zone without a timezone', () => {
+    expect(fromZonedParts({ year: 2025, month: 3, day: 0 }, 'UTC')).toEqual(new Date(Date.UTC(2025, 1, 28)))
+    expect(fromZonedParts({ year: 2025, month: 3, day: 14, hour: 7 })).toEqual(new Date(2025, 2, 14, 7))
+  })
+})
+
+describe('timezone - helpers', () => {
+  it('validates IANA names', () => {
+    expect(isValidTimeZone('Europe/Berlin')).toBe(true)
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false)
+    expect(isValidTimeZone('')).toBe(false)
+  })
+
+  it('lists selectable zones', () => {
+    expect(getSupportedTimeZones()).toContain('Asia/Tokyo')
+  })
+
+  it('builds the transform option from a setting', () => {
+    expect(createTimeZoneOption('local')).toBeNull()
+    expect(createTimeZoneOption('Asia/Tokyo')).toBe('Asia/Tokyo')
+
+    const perSender = createTimeZoneOption('sender', { Alice: 'Europe/Berlin' })
+    expect(perSender('Alice')).toBe('Europe/Berlin')
+    expect(perSender('Bob')).toBeNull()
+  })
+})
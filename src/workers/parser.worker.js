@@ -0,0 +1,40 @@
+import { DOMParser } from 'linkedom'
+import { parseChatFiles } from '@/utils/parserRegistry'
+
+/**
+ * Chat parser Web Worker
+ *
+ * Runs format detection, parsing and statistics off the main thread so large
+ * exports don't freeze the UI. Cancelling is done by terminating the worker.
+ *
+ * Messages in:  { files: File[], locale: string }
+ * Messages out: { type: 'progress', progress }
+ *               { type: 'result', result }
+ *               { type: 'error', message }
+ */
+
+// Workers have no DOMParser; the HTML parser gets linkedom's inert implementation
+if (typeof self.DOMParser === 'undefined') {
+  self.DOMParser = DOMParser
+}
+
+self.onmessage = async (event) => {
+  const { files, locale } = event.data
+  let lastStage = null
+  let lastPercent = -1
+
+  // Only post when something visible changes, to keep message traffic low
+  function handleProgress(progress) {
+    if (progress.stage === lastStage && progress.percent === lastPercent) return
+    lastStage = progress.stage
+    lastPercent = progress.percent
+    self.postMessage({ type: 'progress', progress })
+  }
+
+  try {
+    const result = await parseChatFiles(files, { onProgress: handleProgress, locale })
+    self.postMessage({ type: 'result', result })
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message })
+  }
+}
@@ -0,0 +1,79 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll } from 'vitest'
+
+// Runs the worker module in a DOM-less environment, like a real Web Worker
+const posted = []
+
+beforeAll(async () => {
+  globalThis.self = globalThis
+  globalThis.postMessage = message => posted.push(message)
+  await import('./parser.worker.js')
+})
+
+const instagramHtml = `<html><head><title>Alice</title></head><body>
+<header><h1>Alice &amp; Bob</h1></header>
+<div class="pam _3-95 _2ph- _a6-g uiBoxWhite noborder">
+  <h2 class="_3-95 _2pim _a6-h _a6-i">Bob</h2>
+  <div class="_3-95 _a6-p"><div><div></div><div>Sure 😊</div></div></div>
+  <div class="_3-94 _a6-o">Oct 16, 2025 5:29 am</div>
+</div>
+<div class="pam _3-95 _2ph- _a6-g uiBoxWhite noborder">
+  <h2 class="_3-95 _2pim _a6-h _a6-i">Alice</h2>
+  <div class="_3-95 _a6-p"><div><div></div><div>Coffee?</div></div></div>
+  <div class="_3-94 _a6-o">Oct 16, 2025 5:28 am</div>
+</div>
+</body></html>`
+
+async function runWorker(files) {
+  posted.length = 0
+  await self.onmessage({ data: { files } })
+  return [...posted]
+}
+
+describe('parser.worker', () => {
+  it('parses Instagram HTML without a browser DOM', async () => {
+    const messages = await runWorker([new File([instagramHtml], 'message_1.html', { type: 'text/html' })])
+    const { result } = messages.find(message => message.type === 'result')
+
+    expect(result.meta.conversationTitle).toBe('Alice & Bob')
+    expect(result.messages.map(m => [m.sender, m.content])).toEqual([
+      ['Alice', 'Coffee?'],
+      ['Bob', 'Sure 😊'],
+    ])
+    expect(result.statistics.topEmojis).toEqual([{ emoji: '😊', count: 1 }])
+  })
+
+  it('sanitizes the HTML before reading it', async () => {
+    const html = `<html><body>
+<header><h1>Alice &amp; Bob<script>document.title = 'pwned'</script></h1></header>
+<div class="pam _3-95 _2ph- _a6-g uiBoxWhite noborder">
+  <h2 class="_3-95 _2pim _a6-h _a6-i">Alice</h2>
+  <div class="_3-95 _a6-p"><div><div></div><div onclick="steal()"><b>Look</b><script>steal()</script><style>*{}</style></div></div></div>
+  <div class="_3-94 _a6-o">Oct 16, 2025 5:28 am</div>
+</div>
+</body></html>`
+    const messages = await runWorker([new File([html], 'message_1.html', { type: 'text/html' })])
+    const { result } = messages.find(message => message.type === 'result')
+
+    expect(result.meta.conversationTitle).toBe('Alice & Bob')
+    expect(result.messages.map(m => [m.sender, m.content])).toEqual([['Alice', 'Look']])
+  })
+
+  it('streams progress before the result', async () => {
+    const messages = await runWorker([new File([instagramHtml], 'message_1.html', { type: 'text/html' })])
+    const progress = messages.filter(message => message.type === 'progress').map(message => message.progress)
+
+    expect(messages.at(-1).type).toBe('result')
+    expect(progress.map(p => p.stage)).toContain('reading')
+    expect(progress.map(p => p.stage)).toContain('parsing')
+    expect(progress.at(-1)).toMatchObject({ stage: 'done', percent: 100, messagesFound: 2 })
+    expect(progress.every((p, i) => i === 0 || p.percent >= progress[i - 1].percent)).toBe(true)
+  })
+
+  it('posts an error for unrecognized files', async () => {
+    const messages = await runWorker([new File(['hello'], 'notes.txt', { type: 'text/plain' })])
+
+    expect(messages.at(-1).type).toBe('error')
+    expect(messages.at(-1).message).toContain('Unrecognized format')
+  })
+})